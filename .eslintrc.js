@@ -1,5 +1,10 @@
 'use strict';
 
 module.exports = {
-  extends: require.resolve('@keeto/pkg-common/eslint/es6.js')
+  extends: require.resolve('@keeto/pkg-common/eslint/es6.js'),
+  globals: {
+    // Only used after checking that they exist.
+    AggregateError: 'readonly',
+    BigInt: 'readonly',
+  },
 };
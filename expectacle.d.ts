@@ -1,5 +1,7 @@
 export = expect;
 
+declare const shapeType: unique symbol;
+
 declare function expect(value?: any, description?: string): expect.Expectation;
 
 declare namespace expect {
@@ -39,6 +41,8 @@ declare namespace expect {
 
     toBeEmpty(): Chainer;
     toHaveLength(v: number): Chainer;
+    toContain(v: any): Chainer;
+    toContainLike(v: any): Chainer;
     toHaveMember(v: string): Chainer;
     toHaveOwnMember(v: string): Chainer;
     toHaveProperty(v: string): Chainer;
@@ -46,15 +50,45 @@ declare namespace expect {
     toHaveMethod(v: string): Chainer;
     toHaveOwnMethod(v: string): Chainer;
 
+    toBeGreaterThan(v: number | bigint | Date): Chainer;
+    toBeGreaterThanOrEqual(v: number | bigint | Date): Chainer;
+    toBeLessThan(v: number | bigint | Date): Chainer;
+    toBeLessThanOrEqual(v: number | bigint | Date): Chainer;
+    toBeBetween(
+      min: number | bigint | Date,
+      max: number | bigint | Date
+    ): Chainer;
+    toBeCloseTo(
+      v: number | bigint | Date,
+      digitsOrEpsilon?: number | {epsilon: number}
+    ): Chainer;
+
     toBeLike(v: any): Chainer;
+    toStrictlyEqual(v: any): Chainer;
 
-    toHaveShape(v: { [name: string]: Shape } | Shape): Chainer;
+    toHaveShape(v: ShapeDescriptor): Chainer;
 
     toThrow(v: any): Chainer;
     toMatch(v: any): Chainer;
   }
 
   interface PromisedExpectation<T> extends Expectation {
+    not: PromisedExpectation<T>;
+    resolves: PromisedExpectation<T>;
+    rejects: PromisedExpectation<any>;
+
+    toResolve(): Promise<T> & {and: PromisedExpectation<T>};
+    toReject(
+      error?: string | RegExp | Function
+    ): Promise<any> & {and: PromisedExpectation<any>};
+    toSettleWithin(ms: number): Promise<any> & {and: PromisedExpectation<any>};
+
+    within(ms: number): PromisedExpectation<T>;
+
+    toHaveShape<D extends ShapeDescriptor>(
+      shape: D
+    ): Promise<Infer<D>> & {and: PromisedExpectation<Infer<D>>};
+
     then<TResult1 = T, TResult2 = never>(
       onfulfilled?:
         | ((value: T) => TResult1 | PromiseLike<TResult1>)
@@ -74,36 +108,220 @@ declare namespace expect {
     ): Promise<T | TResult>;
   }
 
-  interface Shape {
+  export type EventuallyExpectation = {
+    [K in Exclude<keyof Expectation, 'not'>]: Expectation[K] extends (
+      ...args: infer A
+    ) => any
+      ? (...args: A) => Promise<any> & {and: PromisedExpectation<any>}
+      : never;
+  } & {not: EventuallyExpectation};
+
+  export interface EventuallyOptions {
+    timeout?: number;
+    interval?: number;
+  }
+
+  interface AsymmetricMatcher {
+    description: string;
+  }
+
+  export interface Violation {
+    path: string;
+    actual: any;
+    expected: any;
+    message: string;
+  }
+
+  export type ShapeChecker = (
+    value: any,
+    violations?: Violation[],
+    path?: string
+  ) => boolean;
+
+  interface Shape<T = unknown> {
     name: string;
-    checker: () => void;
+    checker: ShapeChecker;
+    readonly [shapeType]?: T;
+  }
+
+  interface OptionalShape<T = unknown> extends Shape<T> {
+    optional: true;
   }
 
+  interface NumberShape extends Shape<number> {
+    integer(): NumberShape;
+    min(limit: number): NumberShape;
+    max(limit: number): NumberShape;
+  }
+
+  interface StringShape extends Shape<string> {
+    minLength(length: number): StringShape;
+    maxLength(length: number): StringShape;
+    pattern(regExp: RegExp): StringShape;
+  }
+
+  interface ArrayShape<T = unknown[]> extends Shape<T> {
+    minItems(length: number): ArrayShape<T>;
+    maxItems(length: number): ArrayShape<T>;
+    unique(): ArrayShape<T>;
+  }
+
+  type ShapeDescriptor = Shape<any> | {[key: string]: any} | any[];
+
+  type OptionalKeys<D> = {
+    [K in keyof D]: D[K] extends OptionalShape<any> ? K : never;
+  }[keyof D];
+
+  type Simplify<T> = {[K in keyof T]: T[K]};
+
+  type InferObject<D> = Simplify<
+    {
+      [K in Exclude<keyof D, OptionalKeys<D>>]: Infer<D[K]>;
+    } & {
+      [K in Extract<keyof D, OptionalKeys<D>>]?: Infer<D[K]>;
+    }
+  >;
+
+  type InferTuple<D extends readonly unknown[]> = {
+    -readonly [K in keyof D]: Infer<D[K]>;
+  };
+
+  type UnionToIntersection<U> = (
+    U extends any ? (value: U) => void : never
+  ) extends (value: infer I) => void
+    ? I
+    : never;
+
+  /**
+   * The type of the values that have a shape or shape descriptor.
+   */
+  export type Infer<D> = 0 extends 1 & D
+    ? any
+    : D extends Shape<infer T>
+    ? T
+    : D extends readonly unknown[]
+    ? InferTuple<D>
+    : D extends RegExp
+    ? string
+    : D extends object
+    ? InferObject<D>
+    : D;
+
+  // BigInt64Array and BigUint64Array, without requiring the ES2020 library.
+  type BigIntArray = ArrayBufferView & {[index: number]: bigint};
+
+  type Constructor = abstract new (...args: any[]) => any;
+
   interface InternalShape {
-    Array: (subtype: any) => Shape;
-    ArrayStructure: (types: Array<any>) => Shape;
-    Object: (descriptor: any) => Shape;
-    Literal: (decriptor: any) => Shape;
-    LiteralArray: (types: Array<any>) => Shape;
-    Arguments: () => Shape;
-    Boolean: () => Shape;
-    Date: () => Shape;
-    Function: () => Shape;
-    Null: () => Shape;
-    Number: () => Shape;
-    RegExp: () => Shape;
-    String: () => Shape;
-    Undefined: () => Shape;
+    Array(): ArrayShape<unknown[]>;
+    Array<D>(subtype: D): ArrayShape<Infer<D>[]>;
+    ArrayStructure<D extends readonly unknown[] | []>(
+      types: D
+    ): ArrayShape<InferTuple<D>>;
+    LiteralArray<D extends readonly unknown[] | []>(
+      types: D
+    ): ArrayShape<InferTuple<D>>;
+    Object(): Shape<{[key: string]: unknown}>;
+    Object<D extends {[key: string]: any}>(
+      descriptor: D
+    ): Shape<InferObject<D>>;
+    ExactObject<D extends {[key: string]: any}>(
+      descriptor: D
+    ): Shape<InferObject<D>>;
+    Literal<T extends string | number | boolean | null | undefined>(
+      value: T
+    ): Shape<T>;
+    Optional<D>(shape: D): OptionalShape<Infer<D>>;
+    Nullable<D>(shape: D): Shape<Infer<D> | null>;
+    Maybe<D>(shape: D): OptionalShape<Infer<D> | null | undefined>;
+    OneOf<D extends readonly unknown[] | []>(
+      shapes: D
+    ): Shape<Infer<D[number]>>;
+    AllOf<D extends readonly unknown[] | []>(
+      shapes: D
+    ): Shape<UnionToIntersection<Infer<D[number]>>>;
+    Discriminated<K extends string, D extends {[tag: string]: any}>(
+      key: K,
+      shapes: D
+    ): Shape<
+      {
+        [Tag in keyof D]: Infer<D[Tag]> & {[P in K]: Tag};
+      }[keyof D]
+    >;
+    Record<K, V>(keyShape: K, valueShape: V): Shape<{[key: string]: Infer<V>}>;
+    MapOf<K, V>(keyShape: K, valueShape: V): Shape<Map<Infer<K>, Infer<V>>>;
+    InstanceOf<C extends Constructor>(constructor: C): Shape<InstanceType<C>>;
+    InstanceOf<C extends Constructor, D extends {[key: string]: any}>(
+      constructor: C,
+      descriptor: D
+    ): Shape<InstanceType<C> & InferObject<D>>;
+    Lazy<T = any>(getShape: () => ShapeDescriptor, name?: string): Shape<T>;
+    toJSONSchema(shape: ShapeDescriptor): {[keyword: string]: any};
+    fromJSONSchema(schema: {[keyword: string]: any} | boolean): Shape;
+    Arguments(): Shape<IArguments>;
+    ArrayBuffer(): Shape<ArrayBuffer>;
+    BigInt(): Shape<bigint>;
+    BigInt64Array(): Shape<BigIntArray>;
+    BigUint64Array(): Shape<BigIntArray>;
+    Boolean(): Shape<boolean>;
+    DataView(): Shape<DataView>;
+    Date(): Shape<Date>;
+    Error(): Shape<Error>;
+    Float32Array(): Shape<Float32Array>;
+    Float64Array(): Shape<Float64Array>;
+    Function(): Shape<Function>;
+    Int8Array(): Shape<Int8Array>;
+    Int16Array(): Shape<Int16Array>;
+    Int32Array(): Shape<Int32Array>;
+    Map(): Shape<Map<unknown, unknown>>;
+    Null(): Shape<null>;
+    Number(): NumberShape;
+    Promise(): Shape<Promise<unknown>>;
+    RegExp(): Shape<RegExp>;
+    Set(): Shape<Set<unknown>>;
+    String(): StringShape;
+    Symbol(): Shape<symbol>;
+    Uint8Array(): Shape<Uint8Array>;
+    Uint8ClampedArray(): Shape<Uint8ClampedArray>;
+    Uint16Array(): Shape<Uint16Array>;
+    Uint32Array(): Shape<Uint32Array>;
+    Undefined(): Shape<undefined>;
+    WeakMap(): Shape<WeakMap<object, unknown>>;
+    WeakSet(): Shape<WeakSet<object>>;
+    // Shapes added with addShape and addShapeFactory.
+    [name: string]: (...args: any[]) => any;
   }
 
   export const NULL_VALUE: {};
+  export function any(constructor: Function): AsymmetricMatcher;
+  export function anything(): AsymmetricMatcher;
+  export function stringMatching(pattern: RegExp | string): AsymmetricMatcher;
+  export function arrayContaining(items: any[]): AsymmetricMatcher;
+  export function objectContaining(properties: {
+    [key: string]: any;
+  }): AsymmetricMatcher;
   export const shape: InternalShape;
   export function promised<T = any>(
-    value: T,
+    value: PromiseLike<T> | T,
     description?: string
   ): expect.PromisedExpectation<T>;
+  export namespace promised {
+    let timeout: number;
+  }
+  export function soft<T>(fn: () => PromiseLike<T>): Promise<T>;
+  export function soft<T>(fn: () => T): T | Promise<T>;
+  export function eventually(
+    getter: () => any,
+    options?: EventuallyOptions,
+    description?: string
+  ): EventuallyExpectation;
   export function typeOf(value: any): string;
   export function fail(opt_message?: string): void;
   export function addMatcher(name: string, matcher: any): void;
-  export function addMatchers(matchers: { [name: string]: any }): void;
+  export function addMatchers(matchers: {[name: string]: any}): void;
+  export function addShape(name: string, checker: ShapeChecker): void;
+  export function addShapeFactory(
+    name: string,
+    factory: (...args: any[]) => ShapeChecker | Shape | object
+  ): void;
 }
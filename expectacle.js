@@ -38,6 +38,17 @@
    * @returns {boolean} True if the actual value passes the check, false otherwise.
    */
 
+  /**
+   * @typedef {ShapeChecker}
+   * @type {function}
+   * @param {any} value - The value to check.
+   * @param {object[]} [violations] - An array where the checker may push
+   *   `{path, actual, expected, message}` violations for nested values.
+   * @param {string} [path] - The path of the value, used as the base path of
+   *   the violations.
+   * @returns {boolean} True if the value has the shape, false otherwise.
+   */
+
   /**
    * Used as a stand-in value for things that are not supposed to exist.
    *
@@ -129,298 +140,2523 @@
     };
   }
 
+  /**
+   * A regular expression used to check whether a key can be written in dot
+   * notation when building a path.
+   *
+   * @private
+   * @type {RegExp}
+   */
+  const identifierMatcher = /^[A-Za-z_$][\w$]*$/;
+
+  /**
+   * Appends a key to a path string, e.g., `user.addresses[2].zip`.
+   *
+   * @private
+   * @param path - The path of the parent value.
+   * @param key - The key to append.
+   * @param isIndex - If set to true, the key is written as an array index.
+   * @returns The new path.
+   */
+  function appendPath(path, key, isIndex) {
+    if (typeof key === 'symbol') {
+      return `${path}[${String(key)}]`;
+    }
+    if (isIndex && /^\d+$/.test(key)) {
+      return `${path}[${key}]`;
+    }
+    if (!identifierMatcher.test(key)) {
+      return `${path}[${JSON.stringify(key)}]`;
+    }
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Appends a map key to a path string, e.g., `users.get("bob")`, or
+   * `get("bob")` for the root path.
+   *
+   * @private
+   * @param path - The path of the map.
+   * @param key - The key of the entry.
+   * @param ancestors - The `[value, path]` pairs of the values being printed,
+   *   when called while printing the map.
+   * @returns The new path.
+   */
+  function appendMapPath(path, key, ancestors) {
+    const getter = `get(${inspect(key, false, '', path, ancestors)})`;
+    return path ? `${path}.${getter}` : getter;
+  }
+
+  /**
+   * Records a mismatch found by deepEqual, if mismatches are being collected.
+   *
+   * @private
+   * @param mismatches - The list of mismatches, or undefined.
+   * @param path - The path of the mismatching value.
+   * @param actual - The actual value at the path.
+   * @param expected - The expected value at the path.
+   * @param message - An optional message describing the mismatch.
+   * @returns Always false, so it can be used as a return value.
+   */
+  function addMismatch(mismatches, path, actual, expected, message) {
+    if (mismatches) {
+      mismatches.push({
+        path: path,
+        actual: actual,
+        expected: expected,
+        message:
+          message || `expected ${inspect(expected)}, got ${inspect(actual)}`,
+      });
+    }
+    return false;
+  }
+
+  /**
+   * The types whose values can be wrapped in objects, e.g., `new Number(1)`.
+   *
+   * @private
+   * @type {string[]}
+   */
+  const boxedTypes = ['boolean', 'number', 'string'];
+
+  /**
+   * Checks whether a value is an object or a function.
+   *
+   * @private
+   * @param value - The value to check.
+   * @returns True if the value is not a primitive.
+   */
+  function isObjectLike(value) {
+    return (
+      value !== null &&
+      (typeof value === 'object' || typeof value === 'function')
+    );
+  }
+
+  /**
+   * Returns the name of the constructor of a value's prototype.
+   *
+   * @private
+   * @param value - The value.
+   * @returns The name of the constructor, or `null` if the value has no prototype.
+   */
+  function prototypeName(value) {
+    const proto = Object.getPrototypeOf(value);
+    if (proto === null) {
+      return 'null';
+    }
+    const constructor = Object.prototype.hasOwnProperty.call(
+      proto,
+      'constructor'
+    )
+      ? proto.constructor
+      : null;
+    return (constructor && constructor.name) || 'anonymous';
+  }
+
+  /**
+   * Returns all the own keys of an object, including symbols and non-enumerable
+   * keys. The `stack` of errors is left out, since it differs for every error.
+   *
+   * @private
+   * @param object - The object.
+   * @returns The own keys of the object.
+   */
+  function ownKeys(object) {
+    const keys = Reflect.ownKeys(object);
+    if (!(object instanceof Error)) {
+      return keys;
+    }
+    return keys.filter(function (key) {
+      return key !== 'stack';
+    });
+  }
+
   /**
    * The NodeJS assert module's objEquiv function, with the dependence on
    * microfunctions removed.
    *
+   * If a `mismatches` array is passed, the comparison does not stop at the
+   * first difference and every mismatching path is pushed into the array.
+   *
+   * In strict mode, symbol keys and non-enumerable own properties are compared
+   * as well, except for the `stack` of errors.
+   *
    * @private
    * @param _a - The first object.
    * @param _b - The second object.
+   * @param mismatches - An optional array where mismatches are collected.
+   * @param path - The path of the objects being compared.
+   * @param state - The state of the comparison.
    * @returns True if the object are equivalent.
    */
-  function objEquiv(_a, _b) {
+  function objEquiv(_a, _b, mismatches, path, state) {
     let a = _a;
     let b = _b;
     // eslint-disable-next-line
     if (a == null || b == null) {
-      return false;
+      return addMismatch(mismatches, path, a, b);
     }
     if (a.prototype !== b.prototype) {
-      return false;
+      return addMismatch(mismatches, path, a, b, 'prototypes differ');
     }
     if (typeOf(a) === 'arguments') {
-      if (!typeOf(b) !== 'arguments') {
-        return false;
+      if (typeOf(b) !== 'arguments') {
+        return addMismatch(mismatches, path, a, b);
       }
       a = Array.prototype.slice.call(a);
       b = Array.prototype.slice.call(b);
-      return deepEqual(a, b);
+      return deepEqual(a, b, mismatches, path, state);
     }
     let ka;
     let kb;
     try {
-      ka = Object.keys(a);
-      kb = Object.keys(b);
+      ka = state.strict ? ownKeys(a) : Object.keys(a);
+      kb = state.strict ? ownKeys(b) : Object.keys(b);
     } catch (e) {
-      return false;
-    }
-    if (ka.length !== kb.length) {
-      return false;
+      return addMismatch(mismatches, path, a, b);
     }
-    ka.sort();
-    kb.sort();
+    const isArray = typeOf(a) === 'array' && typeOf(b) === 'array';
+    let equal = true;
     let key;
     let i;
-    for (i = ka.length - 1; i >= 0; i--) {
-      if (ka[i] !== kb[i]) {
-        return false;
+    for (i = 0; i < ka.length; i++) {
+      key = ka[i];
+      if (kb.indexOf(key) === -1) {
+        if (!mismatches) {
+          return false;
+        }
+        equal = addMismatch(
+          mismatches,
+          appendPath(path, key, isArray),
+          a[key],
+          undefined,
+          'unexpected key'
+        );
+      } else if (
+        state.strict &&
+        Object.prototype.propertyIsEnumerable.call(a, key) !==
+          Object.prototype.propertyIsEnumerable.call(b, key)
+      ) {
+        if (!mismatches) {
+          return false;
+        }
+        equal = addMismatch(
+          mismatches,
+          appendPath(path, key, isArray),
+          a[key],
+          b[key],
+          `expected ${
+            Object.prototype.propertyIsEnumerable.call(b, key)
+              ? 'an enumerable'
+              : 'a non-enumerable'
+          } property`
+        );
+      } else if (
+        !deepEqual(
+          a[key],
+          b[key],
+          mismatches,
+          appendPath(path, key, isArray),
+          state
+        )
+      ) {
+        if (!mismatches) {
+          return false;
+        }
+        equal = false;
       }
     }
-    for (i = ka.length - 1; i >= 0; i--) {
-      key = ka[i];
-      if (!deepEqual(a[key], b[key])) {
-        return false;
+    for (i = 0; i < kb.length; i++) {
+      key = kb[i];
+      if (ka.indexOf(key) === -1) {
+        if (!mismatches) {
+          return false;
+        }
+        equal = addMismatch(
+          mismatches,
+          appendPath(path, key, isArray),
+          undefined,
+          b[key],
+          'missing key'
+        );
       }
     }
-    return true;
+    return equal;
   }
 
   /**
-   * The NodeJS assert module's deepEqual function, with the buffer test removed.
+   * Returns the index of the first item in a list that is deeply equal to a value.
    *
    * @private
-   * @param actual - The first value.
-   * @param expected - The second value.
-   * @returns True if the items are deeply equal.
+   * @param list - The list to search.
+   * @param value - The value to look for.
+   * @param getItem - An optional function that returns the part of a list item
+   *   to compare.
+   * @param state - The state of the comparison.
+   * @returns The index of the matching item, or -1 if there is none.
    */
-  function deepEqual(actual, expected) {
-    if (actual === expected) {
-      return true;
-    } else if (actual instanceof Date && expected instanceof Date) {
-      return actual.getTime() === expected.getTime();
-    } else if (actual instanceof RegExp && expected instanceof RegExp) {
-      return (
-        actual.source === expected.source &&
-        actual.global === expected.global &&
-        actual.multiline === expected.multiline &&
-        actual.lastIndex === expected.lastIndex &&
-        actual.ignoreCase === expected.ignoreCase
-      );
-    } else if (typeof actual !== 'object' && typeof expected !== 'object') {
-      return actual === expected;
+  function deepIndexOf(list, value, getItem, state) {
+    for (let i = 0, l = list.length; i < l; i++) {
+      if (
+        deepEqual(value, getItem ? getItem(list[i]) : list[i], null, '', state)
+      ) {
+        return i;
+      }
     }
-    return objEquiv(actual, expected);
+    return -1;
   }
 
-  function Shape(name, checker) {
-    this.name = name;
-    this.checker = checker;
+  /**
+   * Returns the first item of a pair.
+   *
+   * @private
+   * @param pair - A `[key, value]` pair.
+   * @returns The key of the pair.
+   */
+  function pairKey(pair) {
+    return pair[0];
   }
 
-  Shape.isShape = function (shape) {
-    return shape instanceof Shape;
-  };
-
-  const InternalShapes = {};
-
-  function addTypeShape(name) {
-    const type = name.toLowerCase();
-    InternalShapes[name] = function () {
-      return new Shape(name, function (value) {
-        return typeOf(value) === type;
-      });
-    };
+  /**
+   * Returns the second item of a pair.
+   *
+   * @private
+   * @param pair - A `[key, value]` pair.
+   * @returns The value of the pair.
+   */
+  function pairValue(pair) {
+    return pair[1];
   }
 
-  InternalShapes.Array = function (subType) {
-    let _subType = subType;
-    switch (typeOf(_subType)) {
-      case 'object':
-        if (!Shape.isShape(_subType)) {
-          _subType = InternalShapes.Object(_subType);
-        }
-        break;
-      case 'array':
-        // eslint-disable-next-line new-cap
-        _subType = InternalShapes.ArrayStructure(_subType);
-        break;
-      case 'undefined':
-        break;
-      default:
-        // eslint-disable-next-line new-cap
-        _subType = InternalShapes.Literal(_subType);
-        break;
+  /**
+   * Compares the entries of two maps. Keys are first looked up by identity, and
+   * keys that are not found are then compared deeply against the entries left
+   * unmatched in the other map.
+   *
+   * @private
+   * @param a - The first map.
+   * @param b - The second map.
+   * @param mismatches - An optional array where mismatches are collected.
+   * @param path - The path of the maps being compared.
+   * @param state - The state of the comparison.
+   * @returns True if the maps have deeply equal entries.
+   */
+  function mapEquiv(a, b, mismatches, path, state) {
+    if (a.size !== b.size && !mismatches) {
+      return false;
     }
-    const checker = function (object) {
-      if (typeOf(object) !== 'array') {
-        return false;
-      }
-      if (_subType) {
-        for (let i = 0, l = object.length; i < l; i++) {
-          if (compareShape(_subType, object[i])) {
-            continue;
+    const unmatched = Array.from(b).filter(function (entry) {
+      return !a.has(entry[0]);
+    });
+    const entries = Array.from(a);
+    let equal = true;
+    for (let i = 0, l = entries.length; i < l; i++) {
+      const key = entries[i][0];
+      const keyPath = appendMapPath(path, key);
+      let expected;
+      if (b.has(key)) {
+        expected = b.get(key);
+      } else {
+        const index = deepIndexOf(unmatched, key, pairKey, state);
+        if (index === -1) {
+          equal = addMismatch(
+            mismatches,
+            keyPath,
+            entries[i][1],
+            undefined,
+            'unexpected key'
+          );
+          if (!mismatches) {
+            return false;
           }
-          return false;
+          continue;
         }
+        expected = unmatched.splice(index, 1)[0][1];
       }
-      return true;
-    };
-    let name = 'Array';
-    if (_subType) {
-      name += `.<${_subType.name}>`;
-    }
-    return new Shape(name, checker);
-  };
-
-  InternalShapes.ArrayStructure = function (types) {
-    if (typeOf(types) !== 'array') {
-      throw new Error('Array Literal expects an array parameter.');
-    }
-    if (!types.length) {
-      throw new Error('Empty types parameter');
-    }
-    const subTypes = [];
-    let i;
-    let l;
-    for (i = 0, l = types.length; i < l; i++) {
-      let type = types[i];
-      switch (typeOf(type)) {
-        case 'object':
-          if (!Shape.isShape(type)) {
-            type = InternalShapes.Object(type);
-            types[i] = type;
-          }
-          break;
-        case 'array':
-          // eslint-disable-next-line new-cap
-          type = InternalShapes.ArrayStructure(type);
-          types[i] = type;
-          break;
-        default:
-          // eslint-disable-next-line new-cap
-          type = InternalShapes.Literal(type);
-          break;
-      }
-      subTypes.push(type.name);
-    }
-    const name = `Array.[${subTypes.join(', ')}]`;
-    const checker = function (object) {
-      if (typeOf(object) !== 'array') {
-        return false;
-      }
-      for (i = 0, l = types.length; i < l; i++) {
-        if (!compareShape(types[i], object[i])) {
+      if (!deepEqual(entries[i][1], expected, mismatches, keyPath, state)) {
+        if (!mismatches) {
           return false;
         }
+        equal = false;
       }
-      return true;
-    };
-    return new Shape(name, checker);
-  };
-
-  InternalShapes.LiteralArray = InternalShapes.ArrayStructure;
+    }
+    for (let i = 0, l = unmatched.length; i < l; i++) {
+      equal = addMismatch(
+        mismatches,
+        appendMapPath(path, unmatched[i][0]),
+        undefined,
+        unmatched[i][1],
+        'missing key'
+      );
+    }
+    return equal;
+  }
 
-  InternalShapes.Object = function (descriptor) {
-    const _descriptor = descriptor || {};
-    const shapes = [];
-    const subInternalShapes = [];
-    for (const key in _descriptor) {
-      if (!_descriptor.hasOwnProperty(key)) {
+  /**
+   * Compares the members of two sets, regardless of order. Members that are not
+   * found by identity are compared deeply against the members left unmatched in
+   * the other set.
+   *
+   * @private
+   * @param a - The first set.
+   * @param b - The second set.
+   * @param mismatches - An optional array where mismatches are collected.
+   * @param path - The path of the sets being compared.
+   * @param state - The state of the comparison.
+   * @returns True if the sets have deeply equal members.
+   */
+  function setEquiv(a, b, mismatches, path, state) {
+    if (a.size !== b.size && !mismatches) {
+      return false;
+    }
+    const unmatched = Array.from(b).filter(function (member) {
+      return !a.has(member);
+    });
+    const members = Array.from(a);
+    let equal = true;
+    for (let i = 0, l = members.length; i < l; i++) {
+      if (b.has(members[i])) {
         continue;
       }
-      let shape = _descriptor[key];
-      switch (typeOf(shape)) {
-        case 'object':
-          if (!Shape.isShape(shape)) {
-            shape = InternalShapes.Object(shape);
-          }
-          break;
-        case 'array':
-          // eslint-disable-next-line new-cap
-          shape = InternalShapes.ArrayStructure(shape);
-          break;
-        default:
-          // eslint-disable-next-line new-cap
-          shape = InternalShapes.Literal(shape);
-          break;
+      const index = deepIndexOf(unmatched, members[i], null, state);
+      if (index !== -1) {
+        unmatched.splice(index, 1);
+        continue;
       }
-      subInternalShapes.push(`${key}:${shape.name}`);
-      shapes.push({key: key, checker: shape});
-    }
-    const name = `Object.{${subInternalShapes.join(', ')}}`;
-    const checker = function (object) {
-      if (typeOf(object) !== 'object') {
+      equal = addMismatch(
+        mismatches,
+        path,
+        members[i],
+        undefined,
+        `unexpected member ${inspect(members[i])}`
+      );
+      if (!mismatches) {
         return false;
       }
-      for (let i = 0, l = shapes.length; i < l; i++) {
-        const _shape = shapes[i];
-        if (!compareShape(_shape.checker, object[_shape.key])) {
-          return false;
-        }
-      }
-      return true;
-    };
-    return new Shape(name, checker);
-  };
-
-  InternalShapes.Literal = function (value) {
-    const name = `Literal.<${JSON.stringify(value, replacer)}>`;
-    const checker = function (object) {
-      return value === object;
-    };
-    return new Shape(name, checker);
-  };
-
-  const knownInternalShapes = [
-    'Arguments',
-    'Boolean',
-    'Date',
-    'Function',
-    'Null',
-    'Number',
-    'RegExp',
-    'String',
-    'Undefined',
-  ];
-
-  for (let i = 0, l = knownInternalShapes.length; i < l; i++) {
-    addTypeShape(knownInternalShapes[i]);
-  }
-
-  function compareShape(shape, object) {
-    if (!shape) {
-      return false;
-    }
-    if (Shape.isShape(shape)) {
-      return shape.checker(object);
     }
-    switch (typeOf(shape)) {
-      case 'object':
-        return compareShape(InternalShapes.Object(shape), object);
-      case 'array':
-        // eslint-disable-next-line new-cap
-        return compareShape(InternalShapes.ArrayStructure(shape), object);
-      default:
-        return false;
+    for (let i = 0, l = unmatched.length; i < l; i++) {
+      equal = addMismatch(
+        mismatches,
+        path,
+        undefined,
+        unmatched[i],
+        `missing member ${inspect(unmatched[i])}`
+      );
     }
+    return equal;
   }
 
   /**
-   * Represents a wrongful expectation.
+   * Returns the name of the built-in type of a value, e.g., `Uint8Array`.
    *
-   * @class
-   * @extends Error
-   * @param options - The error object options.
+   * @private
+   * @param value - The value.
+   * @returns The name of the type.
    */
-  function ExpectationError(options) {
-    if (!(this instanceof ExpectationError)) {
-      return new ExpectationError(options);
-    }
-    this.name = 'ExpectationError';
-    this.operator = options.operator;
-    this.actual = options.actual;
-    this.expected = options.expected;
-    this.description = options.description;
+  function typeName(value) {
+    return toString.call(value).replace(typeMatcher, '$1');
+  }
+
+  /**
+   * Checks whether a value is an ArrayBuffer, a typed array or a DataView.
+   *
+   * @private
+   * @param value - The value to check.
+   * @returns True if the value holds binary data.
+   */
+  function isBinary(value) {
+    const type = typeOf(value);
+    return (
+      type === 'arraybuffer' ||
+      type === 'sharedarraybuffer' ||
+      ArrayBuffer.isView(value)
+    );
+  }
+
+  /**
+   * Returns the bytes of a binary value.
+   *
+   * @private
+   * @param value - An ArrayBuffer, a typed array or a DataView.
+   * @returns A Uint8Array view of the value's bytes.
+   */
+  function toBytes(value) {
+    if (ArrayBuffer.isView(value)) {
+      return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    }
+    return new Uint8Array(value);
+  }
+
+  /**
+   * The number of bytes shown on each row of a hex dump.
+   *
+   * @private
+   * @type {number}
+   */
+  const HEX_DUMP_ROW_SIZE = 16;
+
+  /**
+   * Returns the two-digit hexadecimal representation of a byte.
+   *
+   * @private
+   * @param byte - The byte.
+   * @returns The hexadecimal representation.
+   */
+  function toHex(byte) {
+    return (byte < 16 ? '0' : '') + byte.toString(16);
+  }
+
+  /**
+   * Returns a row of a hex dump.
+   *
+   * @private
+   * @param bytes - The bytes to dump.
+   * @param start - The offset of the first byte of the row.
+   * @returns The row, prefixed with its offset.
+   */
+  function hexDumpRow(bytes, start) {
+    const cells = [];
+    for (let i = start; i < start + HEX_DUMP_ROW_SIZE; i++) {
+      cells.push(i < bytes.length ? toHex(bytes[i]) : '  ');
+    }
+    const offset = `0000000${start.toString(16)}`.slice(-8);
+    return `${offset}  ${cells.join(' ')}`.replace(/\s+$/, '');
+  }
+
+  /**
+   * Returns a hex dump of the expected and the actual bytes around an offset,
+   * with the rows of both values interleaved and the byte at the offset marked.
+   *
+   * @private
+   * @param expected - The expected bytes.
+   * @param actual - The actual bytes.
+   * @param offset - The offset to show.
+   * @returns The lines of the hex dump.
+   */
+  function hexDump(expected, actual, offset) {
+    const row = offset - (offset % HEX_DUMP_ROW_SIZE);
+    const first = Math.max(0, row - HEX_DUMP_ROW_SIZE);
+    const last = Math.min(
+      Math.max(expected.length, actual.length),
+      row + HEX_DUMP_ROW_SIZE * 2
+    );
+    const lines = [];
+    for (let i = first; i < last; i += HEX_DUMP_ROW_SIZE) {
+      lines.push(`expected ${hexDumpRow(expected, i)}`);
+      lines.push(`  actual ${hexDumpRow(actual, i)}`);
+      if (i === row) {
+        lines.push(`${' '.repeat(19 + (offset - row) * 3)}^^`);
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Compares two binary values. Typed arrays are compared by their element type
+   * and elements, using `Object.is` in strict mode, while ArrayBuffers and
+   * DataViews are compared by their bytes.
+   *
+   * @private
+   * @param a - The first value.
+   * @param b - The second value.
+   * @param mismatches - An optional array where mismatches are collected.
+   * @param path - The path of the values being compared.
+   * @param state - The state of the comparison.
+   * @returns True if the values hold the same data.
+   */
+  function binaryEquiv(a, b, mismatches, path, state) {
+    const type = typeOf(a);
+    if (type !== typeOf(b)) {
+      return addMismatch(
+        mismatches,
+        path,
+        a,
+        b,
+        `expected ${typeName(b)}, got ${typeName(a)}`
+      );
+    }
+    const actualBytes = toBytes(a);
+    const expectedBytes = toBytes(b);
+    const isView = ArrayBuffer.isView(a) && type !== 'dataview';
+    const actualLength = isView ? a.length : actualBytes.length;
+    const expectedLength = isView ? b.length : expectedBytes.length;
+    const length = Math.min(actualLength, expectedLength);
+    const sameElement = state.strict
+      ? Object.is
+      : function (x, y) {
+          return x === y;
+        };
+    let index = 0;
+    while (
+      index < length &&
+      (isView
+        ? sameElement(a[index], b[index])
+        : actualBytes[index] === expectedBytes[index])
+    ) {
+      index++;
+    }
+    if (index === length && actualLength === expectedLength) {
+      return true;
+    }
+    if (!mismatches) {
+      return false;
+    }
+    const offset = isView ? index * a.BYTES_PER_ELEMENT : index;
+    let message =
+      actualLength === expectedLength
+        ? ''
+        : `expected length ${expectedLength}, got ${actualLength}; `;
+    message += isView
+      ? `first difference at index ${index} (byte offset ${offset})`
+      : `first difference at byte offset ${offset}`;
+    const dump = hexDump(expectedBytes, actualBytes, offset);
+    return addMismatch(
+      mismatches,
+      path,
+      a,
+      b,
+      `${message}\n    ${dump.join('\n    ')}`
+    );
+  }
+
+  /**
+   * Represents an asymmetric matcher, e.g., `expect.any(Number)`, which can be
+   * used in place of a value expected by `toBeLike` and `toStrictlyEqual`.
+   *
+   * The matcher function receives the actual value, and the `mismatches`,
+   * `path` and `state` arguments of `deepEqual`. If it fails without adding any
+   * mismatch, a mismatch for the whole value is added.
+   *
+   * @private
+   * @class
+   * @param description - The description of the matcher, used when it is printed.
+   * @param matcher - The matcher function.
+   */
+  function AsymmetricMatcher(description, matcher) {
+    this.description = description;
+    this.matcher = matcher;
+  }
+
+  /**
+   * Checks whether a value matches an asymmetric matcher.
+   *
+   * @private
+   * @param matcher - The asymmetric matcher.
+   * @param actual - The actual value.
+   * @param mismatches - An optional array where mismatches are collected.
+   * @param path - The path of the value being compared.
+   * @param state - The state of the comparison.
+   * @returns True if the value matches.
+   */
+  function asymmetricMatch(matcher, actual, mismatches, path, state) {
+    const count = mismatches ? mismatches.length : 0;
+    if (matcher.matcher(actual, mismatches, path, state)) {
+      return true;
+    }
+    if (mismatches && mismatches.length === count) {
+      addMismatch(mismatches, path, actual, matcher);
+    }
+    return false;
+  }
+
+  /**
+   * The NodeJS assert module's deepEqual function, with the buffer test
+   * removed. Asymmetric matchers in the expected value are matched against the
+   * actual value, at any depth.
+   *
+   * Values that reference themselves are supported: a reference back to a value
+   * that is being compared is equal to a reference in the same position in the
+   * other value.
+   *
+   * @private
+   * @param actual - The first value.
+   * @param expected - The second value.
+   * @param mismatches - An optional array where mismatches are collected.
+   * @param path - The path of the values being compared.
+   * @param state - The state of the comparison: the `actual` and `expected`
+   *   stacks of the values being compared, and the `strict` flag used by
+   *   `toStrictlyEqual`.
+   * @returns True if the items are deeply equal.
+   */
+  function deepEqual(actual, expected, mismatches, path, state) {
+    const _path = path || '';
+    const _state = state || {actual: [], expected: []};
+    if (_state.strict ? Object.is(actual, expected) : actual === expected) {
+      return true;
+    } else if (expected instanceof AsymmetricMatcher) {
+      return asymmetricMatch(expected, actual, mismatches, _path, _state);
+    } else if (
+      _state.strict &&
+      isObjectLike(actual) &&
+      isObjectLike(expected) &&
+      Object.getPrototypeOf(actual) !== Object.getPrototypeOf(expected)
+    ) {
+      return addMismatch(
+        mismatches,
+        _path,
+        actual,
+        expected,
+        `expected prototype ${prototypeName(expected)}, got ${prototypeName(
+          actual
+        )}`
+      );
+    } else if (actual instanceof Date && expected instanceof Date) {
+      return (
+        actual.getTime() === expected.getTime() ||
+        addMismatch(mismatches, _path, actual, expected)
+      );
+    } else if (actual instanceof RegExp && expected instanceof RegExp) {
+      return (
+        (actual.source === expected.source &&
+          actual.global === expected.global &&
+          actual.multiline === expected.multiline &&
+          actual.lastIndex === expected.lastIndex &&
+          actual.ignoreCase === expected.ignoreCase &&
+          (!_state.strict || actual.flags === expected.flags)) ||
+        addMismatch(mismatches, _path, actual, expected)
+      );
+    } else if (typeof actual !== 'object' && typeof expected !== 'object') {
+      return addMismatch(mismatches, _path, actual, expected);
+    }
+    const actualIndex = _state.actual.indexOf(actual);
+    const expectedIndex = _state.expected.indexOf(expected);
+    if (actualIndex !== -1 || expectedIndex !== -1) {
+      return (
+        actualIndex === expectedIndex ||
+        addMismatch(
+          mismatches,
+          _path,
+          actual,
+          expected,
+          'circular references differ'
+        )
+      );
+    }
+    _state.actual.push(actual);
+    _state.expected.push(expected);
+    const equal = containerEquiv(actual, expected, mismatches, _path, _state);
+    _state.actual.pop();
+    _state.expected.pop();
+    return equal;
+  }
+
+  /**
+   * Compares two values that are not primitives, Dates or RegExps, for the
+   * deepEqual function.
+   *
+   * @private
+   * @param actual - The first value.
+   * @param expected - The second value.
+   * @param mismatches - An optional array where mismatches are collected.
+   * @param path - The path of the values being compared.
+   * @param state - The state of the comparison.
+   * @returns True if the items are deeply equal.
+   */
+  function containerEquiv(actual, expected, mismatches, path, state) {
+    const actualType = typeOf(actual);
+    const expectedType = typeOf(expected);
+    if (
+      state.strict &&
+      boxedTypes.indexOf(actualType) !== -1 &&
+      !Object.is(actual.valueOf(), expected.valueOf())
+    ) {
+      return addMismatch(mismatches, path, actual, expected);
+    }
+    if (actualType === 'map' || expectedType === 'map') {
+      return actualType === expectedType
+        ? mapEquiv(actual, expected, mismatches, path, state)
+        : addMismatch(mismatches, path, actual, expected);
+    }
+    if (isBinary(actual) || isBinary(expected)) {
+      return binaryEquiv(actual, expected, mismatches, path, state);
+    }
+    if (actualType === 'set' || expectedType === 'set') {
+      return actualType === expectedType
+        ? setEquiv(actual, expected, mismatches, path, state)
+        : addMismatch(mismatches, path, actual, expected);
+    }
+    return objEquiv(actual, expected, mismatches, path, state);
+  }
+
+  /**
+   * Represents a shape, used by the `toHaveShape` matcher.
+   *
+   * A shape's checker receives the value to check and returns whether the value
+   * has the shape. When called with a `violations` array, the checker may push
+   * a violation for every nested value that does not match, using the `path`
+   * argument as the base path. If a checker fails without pushing any
+   * violation, a violation for the whole value is added.
+   *
+   * Shapes created by the `Optional` and `Maybe` modifiers have an `optional`
+   * property set to true, which lets Object and ArrayStructure shapes accept a
+   * missing key. Such shapes may also have a `descriptorName`, used instead of
+   * their name when they are part of an Object shape's name.
+   *
+   * Shapes that can be expressed in JSON Schema have a `jsonSchema` function,
+   * used by `toJSONSchema`. It receives a context with a `convert` function,
+   * which returns the schema of a nested shape, and a `reference` function,
+   * which Lazy shapes use to refer to the schema of their shape in `$defs`.
+   *
+   * @class
+   * @param name - The name of the shape.
+   * @param checker - The checker function.
+   * @param jsonSchema - The optional function that returns the JSON Schema of the shape.
+   */
+  function Shape(name, checker, jsonSchema) {
+    this.name = name;
+    this.checker = checker;
+    this.jsonSchema = jsonSchema || null;
+  }
+
+  Shape.isShape = function (shape) {
+    return shape instanceof Shape;
+  };
+
+  const InternalShapes = {};
+
+  /**
+   * Throws a TypeError unless the argument of a refinement is a number, or a
+   * non-negative integer for lengths.
+   *
+   * @private
+   * @param name - The name of the refinement.
+   * @param limit - The argument of the refinement.
+   * @param isLength - Whether the argument is a length.
+   */
+  function checkRefinementLimit(name, limit, isLength) {
+    const valid = isLength
+      ? Number.isInteger(limit) && limit >= 0
+      : typeof limit === 'number' && !Number.isNaN(limit);
+    if (!valid) {
+      throw new TypeError(
+        `${name} expects a ${
+          isLength ? 'non-negative integer' : 'number'
+        } parameter.`
+      );
+    }
+  }
+
+  /**
+   * The refinements available on each kind of shape. Every refinement is a
+   * factory that receives the arguments of the refinement method and returns a
+   * test for values that already have the refined shape.
+   *
+   * @private
+   */
+  const Refinements = {
+    Number: {
+      integer: function () {
+        return Number.isInteger;
+      },
+      min: function (limit) {
+        checkRefinementLimit('min', limit, false);
+        return function (value) {
+          return value >= limit;
+        };
+      },
+      max: function (limit) {
+        checkRefinementLimit('max', limit, false);
+        return function (value) {
+          return value <= limit;
+        };
+      },
+    },
+    String: {
+      minLength: function (length) {
+        checkRefinementLimit('minLength', length, true);
+        return function (value) {
+          return value.length >= length;
+        };
+      },
+      maxLength: function (length) {
+        checkRefinementLimit('maxLength', length, true);
+        return function (value) {
+          return value.length <= length;
+        };
+      },
+      pattern: function (regExp) {
+        if (typeOf(regExp) !== 'regexp') {
+          throw new TypeError(
+            'pattern expects a regular expression parameter.'
+          );
+        }
+        return function (value) {
+          return regExp.test(value);
+        };
+      },
+    },
+    Array: {
+      minItems: function (length) {
+        checkRefinementLimit('minItems', length, true);
+        return function (value) {
+          return value.length >= length;
+        };
+      },
+      maxItems: function (length) {
+        checkRefinementLimit('maxItems', length, true);
+        return function (value) {
+          return value.length <= length;
+        };
+      },
+      unique: function () {
+        return function (value) {
+          const state = {actual: [], expected: []};
+          for (let i = 1, l = value.length; i < l; i++) {
+            if (deepIndexOf(value.slice(0, i), value[i], null, state) !== -1) {
+              return false;
+            }
+          }
+          return true;
+        };
+      },
+    },
+  };
+
+  /**
+   * The JSON Schema keywords of each refinement. Every entry receives the
+   * arguments of the refinement method and returns the keywords.
+   *
+   * @private
+   */
+  const RefinementKeywords = {
+    integer: function () {
+      return {type: 'integer'};
+    },
+    min: function (limit) {
+      return {minimum: limit};
+    },
+    max: function (limit) {
+      return {maximum: limit};
+    },
+    minLength: function (length) {
+      return {minLength: length};
+    },
+    maxLength: function (length) {
+      return {maxLength: length};
+    },
+    pattern: function (regExp) {
+      return {pattern: toJSONSchemaPattern(regExp)};
+    },
+    minItems: function (length) {
+      return {minItems: length};
+    },
+    maxItems: function (length) {
+      return {maxItems: length};
+    },
+    unique: function () {
+      return {uniqueItems: true};
+    },
+  };
+
+  /**
+   * Creates a shape that refines another shape: values must have the refined
+   * shape and pass the tests of all refinements, in order. The labels of the
+   * refinements are appended to the name of the refined shape, e.g.,
+   * `Number.integer().min(0)`, and the first failing refinement is named in the
+   * violation.
+   *
+   * @private
+   * @param base - The refined shape.
+   * @param kind - The kind of the refined shape, a key of `Refinements`.
+   * @param refinements - The `method`, `args`, `label` and `test` of each refinement.
+   * @returns The new shape.
+   */
+  function refineShape(base, kind, refinements) {
+    const labels = refinements.map(function (refinement) {
+      return refinement.label;
+    });
+    const name = [base.name].concat(labels).join('.');
+    const jsonSchema = function (context) {
+      return refinements.reduce(function (schema, refinement) {
+        return objectAssign(
+          schema,
+          RefinementKeywords[refinement.method].apply(null, refinement.args)
+        );
+      }, context.convert(base));
+    };
+    const refined = new Shape(
+      name,
+      function (value, violations, path) {
+        if (!compareWrappedShape(base, value, violations, path)) {
+          return false;
+        }
+        for (let i = 0, l = refinements.length; i < l; i++) {
+          if (!refinements[i].test(value)) {
+            if (violations) {
+              violations.push({
+                path: path,
+                actual: value,
+                expected: refined,
+                message: `expected ${name}, got ${describeValue(
+                  value
+                )}, which fails ${refinements[i].label}`,
+              });
+            }
+            return false;
+          }
+        }
+        return true;
+      },
+      jsonSchema
+    );
+    return addRefinements(refined, kind, base, refinements);
+  }
+
+  /**
+   * Adds the refinement methods of a kind of shape to a shape. Each method
+   * returns a new shape, leaving the original shape untouched.
+   *
+   * @private
+   * @param shape - The shape.
+   * @param kind - The kind of the shape, a key of `Refinements`.
+   * @param base - The shape refined by `shape`, if any.
+   * @param applied - The refinements already applied to `base`, if any.
+   * @returns The shape.
+   */
+  function addRefinements(shape, kind, base, applied) {
+    const refinements = Refinements[kind];
+    if (!refinements) {
+      return shape;
+    }
+    Object.keys(refinements).forEach(function (method) {
+      shape[method] = function () {
+        const args = slice.call(arguments);
+        return refineShape(
+          base || shape,
+          kind,
+          (applied || []).concat({
+            method: method,
+            args: args,
+            label: `${method}(${args.map(String).join(', ')})`,
+            test: refinements[method].apply(null, args),
+          })
+        );
+      };
+    });
+    return shape;
+  }
+
+  /**
+   * The JSON Schema types of the type shapes that have one.
+   *
+   * @private
+   * @type {Object<string, string>}
+   */
+  const JSONSchemaTypes = {
+    Boolean: 'boolean',
+    Null: 'null',
+    Number: 'number',
+    String: 'string',
+  };
+
+  function addTypeShape(name) {
+    const type = name.toLowerCase();
+    const jsonSchema = function () {
+      return {type: JSONSchemaTypes[name]};
+    };
+    InternalShapes[name] = function () {
+      const shape = new Shape(
+        name,
+        function (value) {
+          return typeOf(value) === type;
+        },
+        JSONSchemaTypes.hasOwnProperty(name) ? jsonSchema : null
+      );
+      return addRefinements(shape, name);
+    };
+  }
+
+  /**
+   * Returns the shape for a shape descriptor: objects are turned into Object
+   * shapes, arrays into ArrayStructure shapes and any other value into a Literal shape.
+   *
+   * @private
+   * @param descriptor - The shape or shape descriptor.
+   * @returns The shape.
+   */
+  function toShape(descriptor) {
+    if (Shape.isShape(descriptor)) {
+      return descriptor;
+    }
+    switch (typeOf(descriptor)) {
+      case 'object':
+        return InternalShapes.Object(descriptor);
+      case 'array':
+        // eslint-disable-next-line new-cap
+        return InternalShapes.ArrayStructure(descriptor);
+      default:
+        // eslint-disable-next-line new-cap
+        return InternalShapes.Literal(descriptor);
+    }
+  }
+
+  /**
+   * Checks whether a value has a shape wrapped by another shape. If the value
+   * fails the wrapped shape as a whole, the violation is dropped so that the
+   * wrapping shape is reported instead, while violations of nested values are kept.
+   *
+   * @private
+   * @param shape - The wrapped shape.
+   * @param value - The value to check.
+   * @param violations - An optional array where violations are collected.
+   * @param path - The path of the value being checked.
+   * @returns True if the value has the wrapped shape.
+   */
+  function compareWrappedShape(shape, value, violations, path) {
+    const count = violations ? violations.length : 0;
+    if (compareShape(shape, value, violations, path)) {
+      return true;
+    }
+    if (
+      violations &&
+      violations.length === count + 1 &&
+      violations[count].path === path
+    ) {
+      violations.pop();
+    }
+    return false;
+  }
+
+  InternalShapes.Array = function (subType) {
+    const _subType = subType === undefined ? null : toShape(subType);
+    const checker = function (object, violations, path) {
+      if (typeOf(object) !== 'array') {
+        return false;
+      }
+      let valid = true;
+      if (_subType) {
+        for (let i = 0, l = object.length; i < l; i++) {
+          if (
+            (!(i in object) && _subType.optional) ||
+            compareShape(
+              _subType,
+              object[i],
+              violations,
+              appendPath(path || '', i, true)
+            )
+          ) {
+            continue;
+          }
+          if (!violations) {
+            return false;
+          }
+          valid = false;
+        }
+      }
+      return valid;
+    };
+    const jsonSchema = function (context) {
+      const schema = {type: 'array'};
+      if (_subType) {
+        schema.items = context.convert(_subType);
+      }
+      return schema;
+    };
+    let name = 'Array';
+    if (_subType) {
+      name += `.<${_subType.name}>`;
+    }
+    return addRefinements(new Shape(name, checker, jsonSchema), 'Array');
+  };
+
+  InternalShapes.ArrayStructure = function (types) {
+    if (typeOf(types) !== 'array') {
+      throw new Error('Array Literal expects an array parameter.');
+    }
+    if (!types.length) {
+      throw new Error('Empty types parameter');
+    }
+    const shapes = types.map(toShape);
+    const name = `Array.[${shapes
+      .map(function (shape) {
+        return shape.name;
+      })
+      .join(', ')}]`;
+    const checker = function (object, violations, path) {
+      if (typeOf(object) !== 'array') {
+        return false;
+      }
+      let valid = true;
+      for (let i = 0, l = shapes.length; i < l; i++) {
+        if (
+          !(!(i in object) && shapes[i].optional) &&
+          !compareShape(
+            shapes[i],
+            object[i],
+            violations,
+            appendPath(path || '', i, true)
+          )
+        ) {
+          if (!violations) {
+            return false;
+          }
+          valid = false;
+        }
+      }
+      return valid;
+    };
+    const jsonSchema = function (context) {
+      const schema = {type: 'array', prefixItems: shapes.map(context.convert)};
+      let minItems = shapes.length;
+      while (minItems && shapes[minItems - 1].optional) {
+        minItems--;
+      }
+      if (minItems) {
+        schema.minItems = minItems;
+      }
+      return schema;
+    };
+    return addRefinements(new Shape(name, checker, jsonSchema), 'Array');
+  };
+
+  InternalShapes.LiteralArray = InternalShapes.ArrayStructure;
+
+  /**
+   * Creates an Object shape, or an ExactObject shape that also rejects own keys
+   * that are not in the descriptor.
+   *
+   * @private
+   * @param kind - The name of the shape type.
+   * @param descriptor - The object that maps keys to shapes or shape descriptors.
+   * @param exact - If set to true, unknown own keys are rejected.
+   * @param accepts - An optional function that checks whether the value itself
+   *   may have the shape. By default, only values of type `"object"` can.
+   * @returns The shape.
+   */
+  function createObjectShape(kind, descriptor, exact, accepts) {
+    const _descriptor = descriptor || {};
+    const shapes = [];
+    const subInternalShapes = [];
+    for (const key in _descriptor) {
+      if (!_descriptor.hasOwnProperty(key)) {
+        continue;
+      }
+      const shape = toShape(_descriptor[key]);
+      subInternalShapes.push(
+        `${key}${shape.optional ? '?' : ''}:${
+          shape.descriptorName || shape.name
+        }`
+      );
+      shapes.push({key: key, checker: shape});
+    }
+    const name = `${kind}.{${subInternalShapes.join(', ')}}`;
+    const checker = function (object, violations, path) {
+      if (accepts ? !accepts(object) : typeOf(object) !== 'object') {
+        return false;
+      }
+      let valid = true;
+      if (exact) {
+        const keys = Object.keys(object);
+        for (let i = 0, l = keys.length; i < l; i++) {
+          if (Object.prototype.hasOwnProperty.call(_descriptor, keys[i])) {
+            continue;
+          }
+          if (!violations) {
+            return false;
+          }
+          valid = false;
+          violations.push({
+            path: appendPath(path || '', keys[i]),
+            actual: object[keys[i]],
+            expected: undefined,
+            message: 'unexpected key',
+          });
+        }
+      }
+      for (let i = 0, l = shapes.length; i < l; i++) {
+        const _shape = shapes[i];
+        if (_shape.checker.optional && !(_shape.key in object)) {
+          continue;
+        }
+        if (
+          !compareShape(
+            _shape.checker,
+            object[_shape.key],
+            violations,
+            appendPath(path || '', _shape.key)
+          )
+        ) {
+          if (!violations) {
+            return false;
+          }
+          valid = false;
+        }
+      }
+      return valid;
+    };
+    const jsonSchema = function (context) {
+      const schema = {type: 'object'};
+      const properties = {};
+      const required = [];
+      for (let i = 0, l = shapes.length; i < l; i++) {
+        properties[shapes[i].key] = context.convert(shapes[i].checker);
+        if (!shapes[i].checker.optional) {
+          required.push(shapes[i].key);
+        }
+      }
+      if (shapes.length) {
+        schema.properties = properties;
+      }
+      if (required.length) {
+        schema.required = required;
+      }
+      if (exact) {
+        schema.additionalProperties = false;
+      }
+      return schema;
+    };
+    return new Shape(name, checker, accepts ? null : jsonSchema);
+  }
+
+  InternalShapes.Object = function (descriptor) {
+    return createObjectShape('Object', descriptor, false);
+  };
+
+  /**
+   * Creates a shape like Object, but which also fails if the actual value has
+   * own enumerable keys that are not in the descriptor. Nested descriptors are
+   * not made exact.
+   *
+   * @param descriptor - The object that maps keys to shapes or shape descriptors.
+   * @returns The exact object shape.
+   */
+  InternalShapes.ExactObject = function (descriptor) {
+    return createObjectShape('ExactObject', descriptor, true);
+  };
+
+  /**
+   * Creates a shape for instances of a constructor. If a descriptor is given,
+   * the properties of the instance are also checked like an Object shape.
+   *
+   * @param Constructor - The constructor function.
+   * @param descriptor - The object that maps keys to shapes or shape descriptors.
+   * @returns The instance shape.
+   */
+  InternalShapes.InstanceOf = function (Constructor, descriptor) {
+    if (typeof Constructor !== 'function') {
+      throw new Error('InstanceOf expects a constructor parameter.');
+    }
+    const kind = `InstanceOf.<${Constructor.name || 'anonymous'}>`;
+    const accepts = function (value) {
+      return instanceOf(value, Constructor);
+    };
+    if (descriptor === undefined) {
+      return new Shape(kind, accepts);
+    }
+    return createObjectShape(kind, descriptor, false, accepts);
+  };
+
+  InternalShapes.Literal = function (value) {
+    const name = `Literal.<${JSON.stringify(value, replacer)}>`;
+    const checker = function (object) {
+      return value === object;
+    };
+    const jsonSchema = function () {
+      return {const: value};
+    };
+    const type = typeOf(value);
+    return new Shape(
+      name,
+      checker,
+      type === 'string' ||
+      type === 'boolean' ||
+      type === 'null' ||
+      (type === 'number' && isFinite(value))
+        ? jsonSchema
+        : null
+    );
+  };
+
+  /**
+   * Creates a shape for a value that may be missing. In Object and
+   * ArrayStructure shapes, the key may be left out entirely, but a value that
+   * is present (even `undefined`) must have the wrapped shape.
+   *
+   * @param shape - The shape or shape descriptor of the value.
+   * @returns The optional shape.
+   */
+  InternalShapes.Optional = function (shape) {
+    const _shape = toShape(shape);
+    const checker = function (value, violations, path) {
+      return compareShape(_shape, value, violations, path);
+    };
+    const jsonSchema = function (context) {
+      return context.convert(_shape);
+    };
+    const optional = new Shape(
+      `Optional.<${_shape.name}>`,
+      checker,
+      jsonSchema
+    );
+    optional.optional = true;
+    optional.descriptorName = _shape.name;
+    return optional;
+  };
+
+  /**
+   * Creates a shape for a value that may be `null`.
+   *
+   * @param shape - The shape or shape descriptor of the value.
+   * @returns The nullable shape.
+   */
+  InternalShapes.Nullable = function (shape) {
+    const _shape = toShape(shape);
+    const checker = function (value, violations, path) {
+      return (
+        value === null || compareWrappedShape(_shape, value, violations, path)
+      );
+    };
+    return new Shape(
+      `Nullable.<${_shape.name}>`,
+      checker,
+      nullableJSONSchema(_shape)
+    );
+  };
+
+  /**
+   * Returns the JSON Schema function of a Nullable or Maybe shape.
+   *
+   * @private
+   * @param shape - The wrapped shape.
+   * @returns The JSON Schema function.
+   */
+  function nullableJSONSchema(shape) {
+    return function (context) {
+      return {anyOf: [context.convert(shape), {type: 'null'}]};
+    };
+  }
+
+  /**
+   * Creates a shape for a value that may be missing, `null` or `undefined`.
+   *
+   * @param shape - The shape or shape descriptor of the value.
+   * @returns The maybe shape.
+   */
+  InternalShapes.Maybe = function (shape) {
+    const _shape = toShape(shape);
+    const checker = function (value, violations, path) {
+      return (
+        value === null ||
+        value === undefined ||
+        compareWrappedShape(_shape, value, violations, path)
+      );
+    };
+    const maybe = new Shape(
+      `Maybe.<${_shape.name}>`,
+      checker,
+      nullableJSONSchema(_shape)
+    );
+    maybe.optional = true;
+    maybe.descriptorName = `Nullable.<${_shape.name}>`;
+    return maybe;
+  };
+
+  /**
+   * Returns the names of a list of shapes.
+   *
+   * @private
+   * @param shapes - The shapes.
+   * @returns The names of the shapes.
+   */
+  function shapeNames(shapes) {
+    return shapes.map(function (shape) {
+      return shape.name;
+    });
+  }
+
+  /**
+   * Creates a shape for a value that has at least one of the given shapes.
+   *
+   * When the value has none of the shapes, the violations of the alternative
+   * that came closest (i.e., the one with the fewest violations that is not a
+   * complete mismatch) are reported.
+   *
+   * @param alternatives - The shapes or shape descriptors.
+   * @returns The union shape.
+   */
+  InternalShapes.OneOf = function (alternatives) {
+    if (typeOf(alternatives) !== 'array' || !alternatives.length) {
+      throw new Error('OneOf expects a non-empty array of shapes.');
+    }
+    const shapes = alternatives.map(toShape);
+    const name = `OneOf.<${shapeNames(shapes).join(' | ')}>`;
+    const oneOf = new Shape(name, function (value, violations, path) {
+      let closest = null;
+      let closestViolations = null;
+      for (let i = 0, l = shapes.length; i < l; i++) {
+        const shapeViolations = violations ? [] : null;
+        if (compareShape(shapes[i], value, shapeViolations, path)) {
+          return true;
+        }
+        const isMismatch =
+          !shapeViolations ||
+          shapeViolations.every(function (violation) {
+            return violation.path === path;
+          });
+        if (
+          !isMismatch &&
+          (!closestViolations ||
+            shapeViolations.length < closestViolations.length)
+        ) {
+          closest = shapes[i];
+          closestViolations = shapeViolations;
+        }
+      }
+      if (closest) {
+        violations.push({
+          path: path,
+          actual: value,
+          expected: oneOf,
+          message: `expected ${name}; closest alternative ${closest.name} failed`,
+        });
+        violations.push.apply(violations, closestViolations);
+      }
+      return false;
+    });
+    oneOf.jsonSchema = function (context) {
+      return {anyOf: shapes.map(context.convert)};
+    };
+    return oneOf;
+  };
+
+  /**
+   * Creates a shape for a value that has all of the given shapes.
+   *
+   * @param shapes - The shapes or shape descriptors.
+   * @returns The intersection shape.
+   */
+  InternalShapes.AllOf = function (shapes) {
+    if (typeOf(shapes) !== 'array' || !shapes.length) {
+      throw new Error('AllOf expects a non-empty array of shapes.');
+    }
+    const _shapes = shapes.map(toShape);
+    const checker = function (value, violations, path) {
+      let valid = true;
+      for (let i = 0, l = _shapes.length; i < l; i++) {
+        if (!compareWrappedShape(_shapes[i], value, violations, path)) {
+          if (!violations) {
+            return false;
+          }
+          valid = false;
+        }
+      }
+      return valid;
+    };
+    const jsonSchema = function (context) {
+      return {allOf: _shapes.map(context.convert)};
+    };
+    return new Shape(
+      `AllOf.<${shapeNames(_shapes).join(' & ')}>`,
+      checker,
+      jsonSchema
+    );
+  };
+
+  /**
+   * Creates a shape for a tagged union: an object whose `key` property selects
+   * the shape that the whole object must have.
+   *
+   * @param key - The name of the tag property.
+   * @param shapes - An object that maps each tag value to a shape or shape descriptor.
+   * @returns The discriminated union shape.
+   */
+  InternalShapes.Discriminated = function (key, shapes) {
+    const tags = [];
+    const _shapes = {};
+    for (const tag in shapes) {
+      if (!shapes.hasOwnProperty(tag)) {
+        continue;
+      }
+      tags.push(tag);
+      _shapes[tag] = toShape(shapes[tag]);
+    }
+    const name = `Discriminated.<${key}: ${tags
+      .map(function (tag) {
+        return `${JSON.stringify(tag)} => ${_shapes[tag].name}`;
+      })
+      .join(' | ')}>`;
+    const discriminated = new Shape(name, function (value, violations, path) {
+      if (typeOf(value) !== 'object') {
+        return false;
+      }
+      const tag = value[key];
+      if (
+        typeOf(tag) !== 'string' ||
+        !Object.prototype.hasOwnProperty.call(_shapes, tag)
+      ) {
+        if (violations) {
+          violations.push({
+            path: appendPath(path, key),
+            actual: tag,
+            expected: discriminated,
+            message: `expected one of ${tags
+              .map(function (_tag) {
+                return JSON.stringify(_tag);
+              })
+              .join(', ')}, got ${describeValue(tag)}`,
+          });
+        }
+        return false;
+      }
+      return compareShape(_shapes[tag], value, violations, path);
+    });
+    discriminated.jsonSchema = function (context) {
+      return {
+        anyOf: tags.map(function (tag) {
+          const properties = {};
+          properties[key] = {const: tag};
+          return {
+            allOf: [
+              {type: 'object', properties: properties, required: [key]},
+              context.convert(_shapes[tag]),
+            ],
+          };
+        }),
+      };
+    };
+    return discriminated;
+  };
+
+  /**
+   * Creates a shape that is resolved when it is first used, allowing shapes to
+   * refer to themselves or to each other. Since the resolved shape may contain
+   * the lazy shape, its name is never used: the lazy shape is named after the
+   * optional `name` argument, or `Lazy` otherwise.
+   *
+   * A value that is already being checked against the lazy shape, such as a
+   * node that is its own descendant, is not checked again.
+   *
+   * @param getShape - A function that returns the shape or shape descriptor.
+   * @param name - The name of the shape, e.g., `Category`.
+   * @returns The lazy shape.
+   */
+  InternalShapes.Lazy = function (getShape, name) {
+    if (typeof getShape !== 'function') {
+      throw new Error('Lazy expects a function parameter.');
+    }
+    const checking = [];
+    let shape = null;
+    const resolve = function () {
+      if (!shape) {
+        shape = toShape(getShape());
+      }
+      return shape;
+    };
+    const checker = function (value, violations, path) {
+      resolve();
+      if (checking.indexOf(value) !== -1) {
+        return true;
+      }
+      if (isObjectLike(value)) {
+        checking.push(value);
+      }
+      try {
+        return compareShape(shape, value, violations, path);
+      } finally {
+        if (isObjectLike(value)) {
+          checking.pop();
+        }
+      }
+    };
+    const lazy = new Shape(name || 'Lazy', checker, function (context) {
+      return context.reference(lazy, resolve());
+    });
+    return lazy;
+  };
+
+  /**
+   * Returns the shape used to check the keys of a Record or MapOf shape. A
+   * regular expression describes string keys that match it, while any other
+   * descriptor is turned into a shape as usual.
+   *
+   * @private
+   * @param descriptor - The regular expression, shape or shape descriptor.
+   * @returns The key shape.
+   */
+  function toKeyShape(descriptor) {
+    if (typeOf(descriptor) !== 'regexp') {
+      return toShape(descriptor);
+    }
+    const checker = function (key) {
+      return typeOf(key) === 'string' && descriptor.test(key);
+    };
+    const jsonSchema = function () {
+      return {type: 'string', pattern: toJSONSchemaPattern(descriptor)};
+    };
+    return new Shape(descriptor.toString(), checker, jsonSchema);
+  }
+
+  /**
+   * Checks a key of a Record or MapOf shape, adding a violation for the entry
+   * if the key does not have the key shape.
+   *
+   * @private
+   * @param keyShape - The key shape.
+   * @param key - The key to check.
+   * @param violations - An optional array where violations are collected.
+   * @param path - The path of the entry.
+   * @returns True if the key has the key shape.
+   */
+  function compareKeyShape(keyShape, key, violations, path) {
+    if (compareShape(keyShape, key)) {
+      return true;
+    }
+    if (violations) {
+      violations.push({
+        path: path,
+        actual: key,
+        expected: keyShape,
+        message: `invalid key: expected ${keyShape.name}, got ${describeValue(
+          key
+        )}`,
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Creates a shape for an object used as a dictionary: every own enumerable
+   * key must have the key shape, and every value must have the value shape.
+   *
+   * @param keyShape - The shape of the keys, or a regular expression that the
+   *   keys must match.
+   * @param valueShape - The shape or shape descriptor of the values.
+   * @returns The record shape.
+   */
+  InternalShapes.Record = function (keyShape, valueShape) {
+    const _keyShape = toKeyShape(keyShape);
+    const _valueShape = toShape(valueShape);
+    const checker = function (object, violations, path) {
+      if (typeOf(object) !== 'object') {
+        return false;
+      }
+      const keys = Object.keys(object);
+      let valid = true;
+      for (let i = 0, l = keys.length; i < l; i++) {
+        const keyPath = appendPath(path || '', keys[i]);
+        if (
+          !compareKeyShape(_keyShape, keys[i], violations, keyPath) ||
+          !compareShape(_valueShape, object[keys[i]], violations, keyPath)
+        ) {
+          if (!violations) {
+            return false;
+          }
+          valid = false;
+        }
+      }
+      return valid;
+    };
+    const jsonSchema = function (context) {
+      return {
+        type: 'object',
+        propertyNames: context.convert(_keyShape),
+        additionalProperties: context.convert(_valueShape),
+      };
+    };
+    return new Shape(
+      `Record.<${_keyShape.name}, ${_valueShape.name}>`,
+      checker,
+      jsonSchema
+    );
+  };
+
+  /**
+   * Creates a shape for a Map whose keys all have the key shape and whose
+   * values all have the value shape.
+   *
+   * @param keyShape - The shape of the keys, or a regular expression that the
+   *   keys must match.
+   * @param valueShape - The shape or shape descriptor of the values.
+   * @returns The map shape.
+   */
+  InternalShapes.MapOf = function (keyShape, valueShape) {
+    const _keyShape = toKeyShape(keyShape);
+    const _valueShape = toShape(valueShape);
+    const checker = function (map, violations, path) {
+      if (typeOf(map) !== 'map') {
+        return false;
+      }
+      const entries = Array.from(map);
+      let valid = true;
+      for (let i = 0, l = entries.length; i < l; i++) {
+        const keyPath = appendMapPath(path || '', entries[i][0]);
+        if (
+          !compareKeyShape(_keyShape, entries[i][0], violations, keyPath) ||
+          !compareShape(_valueShape, entries[i][1], violations, keyPath)
+        ) {
+          if (!violations) {
+            return false;
+          }
+          valid = false;
+        }
+      }
+      return valid;
+    };
+    return new Shape(`MapOf.<${_keyShape.name}, ${_valueShape.name}>`, checker);
+  };
+
+  const knownInternalShapes = [
+    'Arguments',
+    'ArrayBuffer',
+    'BigInt',
+    'BigInt64Array',
+    'BigUint64Array',
+    'Boolean',
+    'DataView',
+    'Date',
+    'Error',
+    'Float32Array',
+    'Float64Array',
+    'Function',
+    'Int8Array',
+    'Int16Array',
+    'Int32Array',
+    'Map',
+    'Null',
+    'Number',
+    'Promise',
+    'RegExp',
+    'Set',
+    'String',
+    'Symbol',
+    'Uint8Array',
+    'Uint8ClampedArray',
+    'Uint16Array',
+    'Uint32Array',
+    'Undefined',
+    'WeakMap',
+    'WeakSet',
+  ];
+
+  for (let i = 0, l = knownInternalShapes.length; i < l; i++) {
+    addTypeShape(knownInternalShapes[i]);
+  }
+
+  /**
+   * Returns the representation of a shape argument in a shape name.
+   *
+   * @private
+   * @param arg - The shape argument.
+   * @returns The name of a shape argument, or its inspected value.
+   */
+  function formatShapeArgument(arg) {
+    return Shape.isShape(arg) ? arg.name : inspect(arg);
+  }
+
+  /**
+   * Adds a function that creates a custom shape to `expect.shape`.
+   *
+   * @private
+   * @param name - The name of the shape, which must not be used already.
+   * @param create - The function that creates the shape.
+   */
+  function registerShape(name, create) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('A custom shape expects a name.');
+    }
+    if (name in InternalShapes) {
+      throw new Error(`The shape name "${name}" is already used.`);
+    }
+    InternalShapes[name] = create;
+  }
+
+  /**
+   * Adds a custom shape to `expect.shape`, created with `expect.shape.Name()`.
+   *
+   * @private
+   * @param name - The name of the shape.
+   * @param checker - The checker of the shape.
+   */
+  function addShape(name, checker) {
+    if (typeof checker !== 'function') {
+      throw new Error('addShape expects a checker function.');
+    }
+    registerShape(name, function () {
+      return new Shape(name, checker);
+    });
+  }
+
+  /**
+   * Adds a custom shape that takes arguments to `expect.shape`.
+   *
+   * Every time the shape is created, e.g., `expect.shape.Money('EUR')`, the
+   * factory is called with the arguments and must return a checker, a shape or
+   * a shape descriptor. The arguments are listed in the name of the shape,
+   * e.g., `Money("EUR")`.
+   *
+   * @private
+   * @param name - The name of the shape.
+   * @param factory - The factory function.
+   */
+  function addShapeFactory(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error('addShapeFactory expects a factory function.');
+    }
+    registerShape(name, function () {
+      const args = slice.call(arguments);
+      const result = factory.apply(null, args);
+      const shapeName = args.length
+        ? `${name}(${args.map(formatShapeArgument).join(', ')})`
+        : name;
+      if (typeof result === 'function') {
+        return new Shape(shapeName, result);
+      }
+      const shape = toShape(result);
+      const checker = function (value, violations, path) {
+        return compareWrappedShape(shape, value, violations, path);
+      };
+      const jsonSchema = function (context) {
+        return context.convert(shape);
+      };
+      return new Shape(shapeName, checker, jsonSchema);
+    });
+  }
+
+  /**
+   * The JSON Schema dialect of the schemas created by `toJSONSchema`.
+   *
+   * @private
+   * @constant
+   */
+  const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+  /**
+   * The JSON Schema keywords ignored by `fromJSONSchema`, since they do not
+   * affect validation.
+   *
+   * @private
+   * @type {string[]}
+   */
+  const JSONSchemaAnnotations = [
+    '$schema',
+    '$id',
+    '$comment',
+    '$defs',
+    'definitions',
+    'title',
+    'description',
+    'default',
+    'examples',
+    'deprecated',
+    'readOnly',
+    'writeOnly',
+    'format',
+  ];
+
+  /**
+   * The JSON Schema keywords that combine other schemas or values, supported by
+   * `fromJSONSchema`.
+   *
+   * @private
+   * @type {string[]}
+   */
+  const JSONSchemaApplicators = [
+    'type',
+    '$ref',
+    'const',
+    'enum',
+    'anyOf',
+    'oneOf',
+    'allOf',
+    'not',
+  ];
+
+  /**
+   * The JSON Schema keywords supported by `fromJSONSchema` for each type.
+   *
+   * @private
+   * @type {Object<string, string[]>}
+   */
+  const JSONSchemaTypeKeywords = {
+    object: ['properties', 'required', 'additionalProperties', 'propertyNames'],
+    array: ['items', 'prefixItems', 'minItems', 'maxItems', 'uniqueItems'],
+    string: ['minLength', 'maxLength', 'pattern'],
+    number: ['minimum', 'maximum'],
+  };
+
+  /**
+   * Returns the JSON Schema pattern of a regular expression. Since JSON Schema
+   * patterns have no flags, only the unicode flag is allowed.
+   *
+   * @private
+   * @param regExp - The regular expression.
+   * @returns The pattern.
+   */
+  function toJSONSchemaPattern(regExp) {
+    if (/[^u]/.test(regExp.flags)) {
+      throw new Error(
+        `The ${regExp} pattern cannot be converted to JSON Schema: ` +
+          'only the unicode flag is supported.'
+      );
+    }
+    return regExp.source;
+  }
+
+  /**
+   * Escapes a `$defs` key for a `$ref` JSON pointer.
+   *
+   * @private
+   * @param key - The key.
+   * @returns The escaped key.
+   */
+  function encodeJSONPointer(key) {
+    return encodeURIComponent(key.replace(/~/g, '~0').replace(/\//g, '~1'));
+  }
+
+  /**
+   * Unescapes a token of a `$ref` JSON pointer.
+   *
+   * @private
+   * @param token - The escaped token.
+   * @returns The key.
+   */
+  function decodeJSONPointer(token) {
+    return decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  /**
+   * Returns a shape that every value has.
+   *
+   * @private
+   * @returns The shape.
+   */
+  function anyShape() {
+    const checker = function () {
+      return true;
+    };
+    const jsonSchema = function () {
+      return {};
+    };
+    return new Shape('Any', checker, jsonSchema);
+  }
+
+  /**
+   * Returns a shape for the values that have exactly one of the given shapes,
+   * like the JSON Schema `oneOf` keyword.
+   *
+   * @private
+   * @param shapes - The shapes.
+   * @returns The shape.
+   */
+  function exactlyOneShape(shapes) {
+    const checker = function (value) {
+      let count = 0;
+      for (let i = 0, l = shapes.length; i < l && count < 2; i++) {
+        if (compareShape(shapes[i], value)) {
+          count++;
+        }
+      }
+      return count === 1;
+    };
+    const jsonSchema = function (context) {
+      return {oneOf: shapes.map(context.convert)};
+    };
+    return new Shape(
+      `ExactlyOneOf.<${shapeNames(shapes).join(' | ')}>`,
+      checker,
+      jsonSchema
+    );
+  }
+
+  /**
+   * Returns a shape for the values that do not have another shape.
+   *
+   * @private
+   * @param shape - The negated shape.
+   * @returns The shape.
+   */
+  function notShape(shape) {
+    const checker = function (value) {
+      return !compareShape(shape, value);
+    };
+    const jsonSchema = function (context) {
+      return {not: context.convert(shape)};
+    };
+    return new Shape(`Not.<${shape.name}>`, checker, jsonSchema);
+  }
+
+  /**
+   * Returns the shape of a JSON Schema `const` value. Objects and arrays are
+   * compared with the rules of `toBeLike`.
+   *
+   * @private
+   * @param value - The JSON value.
+   * @returns The shape.
+   */
+  function jsonLiteralShape(value) {
+    if (!isObjectLike(value)) {
+      // eslint-disable-next-line new-cap
+      return InternalShapes.Literal(value);
+    }
+    const checker = function (object) {
+      return deepEqual(object, value, null, '', {actual: [], expected: []});
+    };
+    const jsonSchema = function () {
+      return {const: value};
+    };
+    return new Shape(`Literal.<${JSON.stringify(value)}>`, checker, jsonSchema);
+  }
+
+  /**
+   * Converts a shape to a JSON Schema. The shapes of Lazy shapes are stored in
+   * `$defs`, named after the Lazy shapes, and referred to with `$ref`, so that
+   * recursive shapes can be converted.
+   *
+   * @private
+   * @param shape - The shape or shape descriptor.
+   * @returns The JSON Schema.
+   */
+  function shapeToJSONSchema(shape) {
+    const defs = {};
+    const references = [];
+    const context = {
+      convert: function (descriptor) {
+        const _shape = toShape(descriptor);
+        if (!_shape.jsonSchema) {
+          throw new Error(
+            `The ${_shape.name} shape cannot be converted to JSON Schema.`
+          );
+        }
+        return _shape.jsonSchema(context);
+      },
+      reference: function (lazy, target) {
+        for (let i = 0, l = references.length; i < l; i++) {
+          if (references[i].target === target) {
+            return {$ref: references[i].ref};
+          }
+        }
+        let key = lazy.name;
+        for (let i = 2; defs.hasOwnProperty(key); i++) {
+          key = `${lazy.name}${i}`;
+        }
+        const ref = `#/$defs/${encodeJSONPointer(key)}`;
+        references.push({target: target, ref: ref});
+        defs[key] = null;
+        defs[key] = context.convert(target);
+        return {$ref: ref};
+      },
+    };
+    const schema = objectAssign(
+      {$schema: JSON_SCHEMA_DIALECT},
+      context.convert(shape)
+    );
+    if (references.length) {
+      schema.$defs = defs;
+    }
+    return schema;
+  }
+
+  /**
+   * Converts a JSON Schema of type `"object"` to a shape.
+   *
+   * @private
+   * @param schema - The JSON Schema.
+   * @param convert - The function that converts nested schemas.
+   * @returns The shape.
+   */
+  function jsonSchemaObjectShape(schema, convert) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const additional = schema.additionalProperties;
+    for (let i = 0, l = required.length; i < l; i++) {
+      if (!properties.hasOwnProperty(required[i])) {
+        throw new Error(
+          `The required property "${required[i]}" has no JSON Schema.`
+        );
+      }
+    }
+    if (schema.propertyNames !== undefined || isObjectLike(additional)) {
+      if (schema.properties !== undefined) {
+        throw new Error(
+          'JSON Schema "properties" cannot be combined with ' +
+            '"propertyNames" or an "additionalProperties" schema.'
+        );
+      }
+      const keyShape =
+        schema.propertyNames === undefined
+          ? InternalShapes.String()
+          : convert(schema.propertyNames);
+      const valueShape =
+        additional === undefined ? anyShape() : convert(additional);
+      // eslint-disable-next-line new-cap
+      return InternalShapes.Record(keyShape, valueShape);
+    }
+    const descriptor = {};
+    for (const key in properties) {
+      if (!properties.hasOwnProperty(key)) {
+        continue;
+      }
+      descriptor[key] = convert(properties[key]);
+      if (required.indexOf(key) === -1) {
+        // eslint-disable-next-line new-cap
+        descriptor[key] = InternalShapes.Optional(descriptor[key]);
+      }
+    }
+    if (additional === false) {
+      // eslint-disable-next-line new-cap
+      return InternalShapes.ExactObject(descriptor);
+    }
+    return InternalShapes.Object(descriptor);
+  }
+
+  /**
+   * Converts a JSON Schema of type `"array"` to a shape. Items of `prefixItems`
+   * that are not required by `minItems` become optional.
+   *
+   * @private
+   * @param schema - The JSON Schema.
+   * @param convert - The function that converts nested schemas.
+   * @returns The shape.
+   */
+  function jsonSchemaArrayShape(schema, convert) {
+    let shape = null;
+    if (schema.prefixItems !== undefined && schema.prefixItems.length) {
+      if (schema.items !== undefined && schema.items !== false) {
+        throw new Error(
+          'JSON Schema "prefixItems" cannot be combined with an "items" schema.'
+        );
+      }
+      const minItems = schema.minItems || 0;
+      const shapes = schema.prefixItems.map(convert);
+      for (let i = minItems, l = shapes.length; i < l; i++) {
+        // eslint-disable-next-line new-cap
+        shapes[i] = InternalShapes.Optional(shapes[i]);
+      }
+      // eslint-disable-next-line new-cap
+      shape = InternalShapes.ArrayStructure(shapes);
+      if (schema.items === false) {
+        shape = shape.maxItems(shapes.length);
+      }
+    } else if (schema.items !== undefined) {
+      shape = InternalShapes.Array(convert(schema.items));
+    } else {
+      shape = InternalShapes.Array();
+    }
+    if (schema.minItems !== undefined) {
+      shape = shape.minItems(schema.minItems);
+    }
+    if (schema.maxItems !== undefined) {
+      shape = shape.maxItems(schema.maxItems);
+    }
+    if (schema.uniqueItems) {
+      shape = shape.unique();
+    }
+    return shape;
+  }
+
+  /**
+   * Converts a JSON Schema to a shape for one of its types.
+   *
+   * @private
+   * @param type - The JSON Schema type.
+   * @param schema - The JSON Schema.
+   * @param convert - The function that converts nested schemas.
+   * @returns The shape.
+   */
+  function jsonSchemaTypeShape(type, schema, convert) {
+    let shape = null;
+    switch (type) {
+      case 'null':
+        // eslint-disable-next-line new-cap
+        return InternalShapes.Null();
+      case 'boolean':
+        return InternalShapes.Boolean();
+      case 'object':
+        return jsonSchemaObjectShape(schema, convert);
+      case 'array':
+        return jsonSchemaArrayShape(schema, convert);
+      case 'string':
+        shape = InternalShapes.String();
+        if (schema.minLength !== undefined) {
+          shape = shape.minLength(schema.minLength);
+        }
+        if (schema.maxLength !== undefined) {
+          shape = shape.maxLength(schema.maxLength);
+        }
+        if (schema.pattern !== undefined) {
+          shape = shape.pattern(new RegExp(schema.pattern, 'u'));
+        }
+        return shape;
+      case 'number':
+      case 'integer':
+        shape = InternalShapes.Number();
+        if (type === 'integer') {
+          shape = shape.integer();
+        }
+        if (schema.minimum !== undefined) {
+          shape = shape.min(schema.minimum);
+        }
+        if (schema.maximum !== undefined) {
+          shape = shape.max(schema.maximum);
+        }
+        return shape;
+      default:
+        throw new Error(`Unsupported JSON Schema type "${type}".`);
+    }
+  }
+
+  /**
+   * Returns the types described by the keywords of a JSON Schema, throwing for
+   * unsupported keywords.
+   *
+   * @private
+   * @param schema - The JSON Schema.
+   * @returns The types.
+   */
+  function jsonSchemaKeywordTypes(schema) {
+    const types = [];
+    const keys = Object.keys(schema);
+    for (let i = 0, l = keys.length; i < l; i++) {
+      if (
+        JSONSchemaAnnotations.indexOf(keys[i]) !== -1 ||
+        JSONSchemaApplicators.indexOf(keys[i]) !== -1
+      ) {
+        continue;
+      }
+      let keywordType = null;
+      for (const type in JSONSchemaTypeKeywords) {
+        if (
+          JSONSchemaTypeKeywords.hasOwnProperty(type) &&
+          JSONSchemaTypeKeywords[type].indexOf(keys[i]) !== -1
+        ) {
+          keywordType = type;
+        }
+      }
+      if (!keywordType) {
+        throw new Error(`Unsupported JSON Schema keyword "${keys[i]}".`);
+      }
+      if (types.indexOf(keywordType) === -1) {
+        types.push(keywordType);
+      }
+    }
+    return types;
+  }
+
+  /**
+   * Converts a JSON Schema to a shape. Local `$ref` references are turned into
+   * Lazy shapes, and keywords that cannot be expressed as shapes throw an error
+   * instead of being ignored. Keywords of a single type imply that type when
+   * the schema has no `type` keyword.
+   *
+   * @private
+   * @param schema - The JSON Schema.
+   * @returns The shape.
+   */
+  function jsonSchemaToShape(schema) {
+    const references = {};
+    const convert = function (subschema) {
+      if (typeof subschema === 'boolean') {
+        return subschema ? anyShape() : notShape(anyShape());
+      }
+      if (typeOf(subschema) !== 'object') {
+        throw new Error('A JSON Schema must be an object or a boolean.');
+      }
+      const types = jsonSchemaKeywordTypes(subschema);
+      const shapes = [];
+      if (subschema.$ref !== undefined) {
+        if (!references.hasOwnProperty(subschema.$ref)) {
+          references[subschema.$ref] = jsonSchemaReference(
+            schema,
+            subschema.$ref,
+            convert
+          );
+        }
+        shapes.push(references[subschema.$ref]);
+      }
+      if (subschema.type === undefined && types.length > 1) {
+        throw new Error(
+          'JSON Schema keywords for different types require a "type" keyword.'
+        );
+      }
+      const typeShapes = []
+        .concat(subschema.type || types)
+        .map(function (type) {
+          return jsonSchemaTypeShape(type, subschema, convert);
+        });
+      if (typeShapes.length > 1) {
+        // eslint-disable-next-line new-cap
+        shapes.push(InternalShapes.OneOf(typeShapes));
+      } else if (typeShapes.length) {
+        shapes.push(typeShapes[0]);
+      }
+      if (subschema.hasOwnProperty('const')) {
+        shapes.push(jsonLiteralShape(subschema.const));
+      }
+      if (subschema.enum !== undefined) {
+        // eslint-disable-next-line new-cap
+        shapes.push(InternalShapes.OneOf(subschema.enum.map(jsonLiteralShape)));
+      }
+      if (subschema.anyOf !== undefined) {
+        // eslint-disable-next-line new-cap
+        shapes.push(InternalShapes.OneOf(subschema.anyOf.map(convert)));
+      }
+      if (subschema.oneOf !== undefined) {
+        shapes.push(exactlyOneShape(subschema.oneOf.map(convert)));
+      }
+      if (subschema.allOf !== undefined) {
+        // eslint-disable-next-line new-cap
+        shapes.push(InternalShapes.AllOf(subschema.allOf.map(convert)));
+      }
+      if (subschema.not !== undefined) {
+        shapes.push(notShape(convert(subschema.not)));
+      }
+      if (shapes.length > 1) {
+        // eslint-disable-next-line new-cap
+        return InternalShapes.AllOf(shapes);
+      }
+      return shapes[0] || anyShape();
+    };
+    return convert(schema);
+  }
+
+  /**
+   * Creates a Lazy shape for a local JSON Schema reference, e.g.,
+   * `#/$defs/Category`. The shape is named after the last token of the reference.
+   *
+   * @private
+   * @param schema - The root JSON Schema.
+   * @param ref - The reference.
+   * @param convert - The function that converts the referenced schema.
+   * @returns The shape.
+   */
+  function jsonSchemaReference(schema, ref, convert) {
+    const tokens = ref.split('/').map(decodeJSONPointer);
+    if (tokens[0] !== '#') {
+      throw new Error(
+        `Only local JSON Schema references are supported, got "${ref}".`
+      );
+    }
+    let target = schema;
+    for (let i = 1, l = tokens.length; i < l; i++) {
+      if (
+        !isObjectLike(target) ||
+        !Object.prototype.hasOwnProperty.call(target, tokens[i])
+      ) {
+        throw new Error(`Cannot resolve the JSON Schema reference "${ref}".`);
+      }
+      target = target[tokens[i]];
+    }
+    const getShape = function () {
+      return convert(target);
+    };
+    const name = tokens.length > 1 ? tokens[tokens.length - 1] : 'Root';
+    // eslint-disable-next-line new-cap
+    return InternalShapes.Lazy(getShape, name);
+  }
+
+  /**
+   * Converts a shape to a draft 2020-12 JSON Schema.
+   *
+   * @param shape - The shape or shape descriptor.
+   * @returns The JSON Schema.
+   */
+  InternalShapes.toJSONSchema = shapeToJSONSchema;
+
+  /**
+   * Creates a shape from a JSON Schema.
+   *
+   * @param schema - The JSON Schema.
+   * @returns The shape.
+   */
+  InternalShapes.fromJSONSchema = jsonSchemaToShape;
+
+  /**
+   * Returns a short description of a value for shape violations: the type of
+   * the value, followed by the value itself for primitives.
+   *
+   * @private
+   * @param value - The value to describe.
+   * @returns The description of the value.
+   */
+  function describeValue(value) {
+    const type = typeOf(value);
+    if (type === 'null' || type === 'undefined' || isObjectLike(value)) {
+      return type;
+    }
+    return `${type} ${inspect(value)}`;
+  }
+
+  /**
+   * Checks whether a value has a shape.
+   *
+   * @private
+   * @param shape - The shape, or a descriptor for an Object or ArrayStructure shape.
+   * @param object - The value to check.
+   * @param violations - An optional array where violations are collected.
+   * @param path - The path of the value being checked.
+   * @returns True if the value has the shape.
+   */
+  function compareShape(shape, object, violations, path) {
+    if (!shape) {
+      return false;
+    }
+    if (Shape.isShape(shape)) {
+      const count = violations ? violations.length : 0;
+      if (shape.checker(object, violations, path || '')) {
+        return true;
+      }
+      if (violations && violations.length === count) {
+        violations.push({
+          path: path || '',
+          actual: object,
+          expected: shape,
+          message: `expected ${shape.name}, got ${describeValue(object)}`,
+        });
+      }
+      return false;
+    }
+    switch (typeOf(shape)) {
+      case 'object':
+        return compareShape(
+          InternalShapes.Object(shape),
+          object,
+          violations,
+          path
+        );
+      case 'array':
+        return compareShape(
+          // eslint-disable-next-line new-cap
+          InternalShapes.ArrayStructure(shape),
+          object,
+          violations,
+          path
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * The maximum number of mismatches or shape violations listed in an error
+   * message. All of them are still available in the error's `mismatches` and
+   * `violations` properties.
+   *
+   * @private
+   * @type {number}
+   */
+  const MAX_REPORTED_MISMATCHES = 10;
+
+  /**
+   * Represents a wrongful expectation.
+   *
+   * @class
+   * @extends Error
+   * @param options - The error object options.
+   */
+  function ExpectationError(options) {
+    if (!(this instanceof ExpectationError)) {
+      return new ExpectationError(options);
+    }
+    this.name = 'ExpectationError';
+    this.operator = options.operator;
+    this.actual = options.actual;
+    this.expected = options.expected;
+    this.expectedArguments = options.expectedArguments;
+    this.description = options.description;
+    this.mismatches = options.mismatches;
+    this.violations = options.violations;
+    this.diff = options.diff;
     this.message = options.message || this.toString();
     if (Error.captureStackTrace) {
       Error.captureStackTrace(this, options.stackFn || ExpectationError);
@@ -429,6 +2665,105 @@
   ExpectationError.prototype = new Error();
   ExpectationError.prototype.constructor = Error;
 
+  const AggregateErrorBase =
+    typeof AggregateError === 'function' ? AggregateError : Error;
+
+  /**
+   * Represents the expectations that failed in an `expect.soft` call. It
+   * inherits from `AggregateError` where available, and lists the
+   * `ExpectationError`s in its `errors` property.
+   *
+   * @class
+   * @extends AggregateError
+   * @param errors - The ExpectationErrors.
+   */
+  function SoftExpectationError(errors) {
+    this.name = 'SoftExpectationError';
+    this.errors = errors;
+    this.message = [
+      `${errors.length} ${
+        errors.length === 1 ? 'expectation' : 'expectations'
+      } failed:`,
+    ]
+      .concat(
+        errors.map(function (error, i) {
+          const message = error.message
+            .replace(/^ExpectationError: /, '')
+            .replace(/\n(?=[^\n])/g, '\n   ');
+          return `${i + 1}) ${message}`;
+        })
+      )
+      .join('\n\n');
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, SoftExpectationError);
+    }
+  }
+  SoftExpectationError.prototype = new AggregateErrorBase([]);
+  SoftExpectationError.prototype.constructor = SoftExpectationError;
+
+  /**
+   * Where failing matchers are collected while an `expect.soft` callback runs,
+   * or null: the `errors` array of `ExpectationError`s, and the `pending` array
+   * of promises for the matchers that return one, which resolve to an
+   * `ExpectationError` or null.
+   *
+   * @private
+   * @type {{errors: Array; pending: Array} | null}
+   */
+  let softErrors = null;
+
+  /**
+   * Calls a function while `expect.soft` doesn't collect failures, so that the
+   * expectations within a matcher throw as usual.
+   *
+   * @private
+   * @param fn - The function to call.
+   * @returns The return value of the function.
+   */
+  function withoutSoftErrors(fn) {
+    const collector = softErrors;
+    softErrors = null;
+    try {
+      return fn();
+    } finally {
+      softErrors = collector;
+    }
+  }
+
+  /**
+   * Registers the promise returned by a matcher with the active `expect.soft`
+   * call, which awaits it and collects the `ExpectationError` it rejects with.
+   *
+   * @private
+   * @param promise - The promise returned by the matcher.
+   * @returns The promise itself when no `expect.soft` call is active, or a
+   *   promise that resolves to the actual value of a collected failure.
+   */
+  function collectSoftPromise(promise) {
+    if (!softErrors) {
+      return promise;
+    }
+    softErrors.pending.push(
+      promise.then(
+        function () {
+          return null;
+        },
+        function (e) {
+          if (e instanceof ExpectationError) {
+            return e;
+          }
+          throw e;
+        }
+      )
+    );
+    return promise.then(null, function (e) {
+      if (e instanceof ExpectationError) {
+        return e.actual;
+      }
+      throw e;
+    });
+  }
+
   /**
    * Used for JSON.stringify to format the items into a readable value.
    *
@@ -454,7 +2789,498 @@
   }
 
   /**
-   * Returns the string representation of the error.
+   * Returns a readable string representation of a value. The output is
+   * JSON-like, with object keys sorted so that two structurally equal values
+   * always print the same way. References to a value that is currently being
+   * printed are shown as `[Circular ~path]`, where `~` is the printed value.
+   *
+   * @private
+   * @param value - The value to represent.
+   * @param pretty - If set to true, nested values are printed on their own
+   *   indented lines.
+   * @param indent - The current indentation, used for nested values.
+   * @param path - The path of the value, used for nested values.
+   * @param ancestors - The `[value, path]` pairs of the values being printed,
+   *   used for nested values.
+   * @returns The string representation of the value.
+   */
+  function inspect(value, pretty, indent, path, ancestors) {
+    if (value instanceof Shape) {
+      return value.name;
+    }
+    if (value instanceof AsymmetricMatcher) {
+      return value.description;
+    }
+    switch (typeOf(value)) {
+      case 'string':
+        return JSON.stringify(value);
+      case 'function':
+        return `[Function${value.name ? `: ${value.name}` : ''}]`;
+      case 'date':
+        return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+      case 'regexp':
+        return value.toString();
+      case 'arraybuffer':
+      case 'sharedarraybuffer':
+      case 'dataview':
+        return inspectBytes(value, pretty, indent || '');
+      case 'bigint':
+        return `${value}n`;
+      case 'number':
+        return Object.is(value, -0) ? '-0' : String(value);
+      case 'null':
+      case 'undefined':
+      case 'boolean':
+      case 'symbol':
+        return String(value);
+      default:
+        break;
+    }
+    const _path = path || '';
+    const _ancestors = ancestors || [];
+    for (let i = 0, l = _ancestors.length; i < l; i++) {
+      if (_ancestors[i][0] === value) {
+        const ancestorPath = _ancestors[i][1];
+        return `[Circular ~${
+          !ancestorPath || /^[[.]/.test(ancestorPath) ? '' : '.'
+        }${ancestorPath}]`;
+      }
+    }
+    _ancestors.push([value, _path]);
+    const str = inspectContainer(
+      value,
+      pretty,
+      indent || '',
+      _path,
+      _ancestors
+    );
+    _ancestors.pop();
+    return str;
+  }
+
+  /**
+   * Returns the string representation of a value that holds other values, for
+   * the inspect function.
+   *
+   * @private
+   * @param value - The value to represent.
+   * @param pretty - If set to true, nested values are printed on their own
+   *   indented lines.
+   * @param indent - The current indentation.
+   * @param path - The path of the value.
+   * @param ancestors - The `[value, path]` pairs of the values being printed.
+   * @returns The string representation of the value.
+   */
+  function inspectContainer(value, pretty, indent, path, ancestors) {
+    const state = {pretty: pretty, indent: indent, ancestors: ancestors};
+    switch (typeOf(value)) {
+      case 'array':
+      case 'arguments':
+        return inspectEntries(
+          slice.call(value).map(function (item, i) {
+            return [i, item, appendPath(path, i, true)];
+          }),
+          ['[', ']'],
+          null,
+          state
+        );
+      case 'map':
+        return inspectEntries(
+          sortByInspection(Array.from(value), state, pairKey).map(function (
+            entry
+          ) {
+            return [
+              entry[0],
+              entry[1],
+              appendMapPath(path, entry[0], ancestors),
+            ];
+          }),
+          ['Map {', '}'],
+          function (key, keyIndent) {
+            return `${inspect(key, pretty, keyIndent, path, ancestors)} => `;
+          },
+          state
+        );
+      case 'set':
+        return inspectEntries(
+          sortByInspection(Array.from(value), state).map(function (member, i) {
+            return [i, member, appendPath(path, i, true)];
+          }),
+          ['Set {', '}'],
+          null,
+          state
+        );
+      default:
+        break;
+    }
+    if (ArrayBuffer.isView(value)) {
+      return inspectEntries(
+        Array.from(value).map(function (item, i) {
+          return [i, item, appendPath(path, i, true)];
+        }),
+        [`${typeName(value)} [`, ']'],
+        null,
+        state
+      );
+    }
+    let keys;
+    try {
+      keys = Object.keys(value)
+        .sort()
+        .concat(
+          Object.getOwnPropertySymbols(value).filter(function (symbol) {
+            return Object.prototype.propertyIsEnumerable.call(value, symbol);
+          })
+        );
+    } catch (e) {
+      return String(value);
+    }
+    const proto = Object.getPrototypeOf(value);
+    const name =
+      proto === Object.prototype || proto === null
+        ? ''
+        : `${prototypeName(value)} `;
+    return inspectEntries(
+      keys.map(function (key) {
+        return [key, value[key], appendPath(path, key)];
+      }),
+      [`${name}{`, '}'],
+      function (key) {
+        const label =
+          typeof key === 'symbol' ? `[${String(key)}]` : JSON.stringify(key);
+        return `${label}:${pretty ? ' ' : ''}`;
+      },
+      state
+    );
+  }
+
+  /**
+   * Returns the representation of an ArrayBuffer or a DataView as hex bytes.
+   *
+   * @private
+   * @param value - The ArrayBuffer or DataView.
+   * @param pretty - If set to true, the bytes are printed in indented rows.
+   * @param indent - The current indentation.
+   * @returns The string representation of the bytes.
+   */
+  function inspectBytes(value, pretty, indent) {
+    const bytes = Array.from(toBytes(value)).map(toHex);
+    const name = typeName(value);
+    if (!pretty || !bytes.length) {
+      return `${name} <${bytes.join(' ')}>`;
+    }
+    const rows = [];
+    for (let i = 0; i < bytes.length; i += HEX_DUMP_ROW_SIZE) {
+      rows.push(
+        `${indent}  ${bytes.slice(i, i + HEX_DUMP_ROW_SIZE).join(' ')}`
+      );
+    }
+    return [`${name} <`, rows.join('\n'), `${indent}>`].join('\n');
+  }
+
+  /**
+   * Sorts the items of an unordered collection by their compact representation,
+   * so that equal collections always print the same way.
+   *
+   * @private
+   * @param items - The items to sort.
+   * @param state - The `ancestors` argument passed to the inspect function, so
+   *   that items referencing the collection are printed as circular.
+   * @param getItem - An optional function that returns the part of an item to sort by.
+   * @returns The sorted items.
+   */
+  function sortByInspection(items, state, getItem) {
+    return items
+      .map(function (item) {
+        return [
+          inspect(
+            getItem ? getItem(item) : item,
+            false,
+            '',
+            '',
+            state.ancestors
+          ),
+          item,
+        ];
+      })
+      .sort(function (a, b) {
+        if (a[0] === b[0]) {
+          return 0;
+        }
+        return a[0] < b[0] ? -1 : 1;
+      })
+      .map(pairValue);
+  }
+
+  /**
+   * Joins the entries of a collection for the inspect function.
+   *
+   * @private
+   * @param entries - An array of `[key, value, path]` entries.
+   * @param brackets - The opening and closing brackets.
+   * @param formatKey - An optional function that receives a key and the current
+   *   indentation, and returns the label printed before the value.
+   * @param state - The `pretty`, `indent` and `ancestors` arguments passed to
+   *   the inspect function.
+   * @returns The string representation of the entries.
+   */
+  function inspectEntries(entries, brackets, formatKey, state) {
+    if (!entries.length) {
+      return brackets.join('');
+    }
+    const innerIndent = state.pretty ? `${state.indent}  ` : '';
+    const items = entries.map(function (entry) {
+      return (
+        (formatKey ? formatKey(entry[0], innerIndent) : '') +
+        inspect(entry[1], state.pretty, innerIndent, entry[2], state.ancestors)
+      );
+    });
+    if (!state.pretty) {
+      return `${brackets[0]}${items.join(',')}${brackets[1]}`;
+    }
+    return [
+      brackets[0],
+      `${innerIndent}${items.join(`,\n${innerIndent}`)}`,
+      `${state.indent}${brackets[1]}`,
+    ].join('\n');
+  }
+
+  /**
+   * The number of unchanged lines shown around each change in a diff.
+   *
+   * @private
+   * @type {number}
+   */
+  const DIFF_CONTEXT = 3;
+
+  /**
+   * The maximum size of the table used to compute a diff. Larger inputs are
+   * shown as a full replacement instead.
+   *
+   * @private
+   * @type {number}
+   */
+  const DIFF_MAX_TABLE_SIZE = 1000000;
+
+  /**
+   * Computes the line operations needed to turn one list of lines into another,
+   * using their longest common subsequence.
+   *
+   * @private
+   * @param from - The original lines.
+   * @param to - The new lines.
+   * @returns An array of operations, each an array of an operation character
+   *   (`' '`, `'-'` or `'+'`), the line, and the line's index in `from` and `to`.
+   */
+  function diffLines(from, to) {
+    let start = 0;
+    while (
+      start < from.length &&
+      start < to.length &&
+      from[start] === to[start]
+    ) {
+      start++;
+    }
+    let fromEnd = from.length;
+    let toEnd = to.length;
+    while (
+      fromEnd > start &&
+      toEnd > start &&
+      from[fromEnd - 1] === to[toEnd - 1]
+    ) {
+      fromEnd--;
+      toEnd--;
+    }
+    const n = fromEnd - start;
+    const m = toEnd - start;
+    const ops = [];
+    let i;
+    let j;
+    for (i = 0; i < start; i++) {
+      ops.push([' ', from[i], i, i]);
+    }
+    if (n * m > DIFF_MAX_TABLE_SIZE) {
+      for (i = start; i < fromEnd; i++) {
+        ops.push(['-', from[i], i, start]);
+      }
+      for (j = start; j < toEnd; j++) {
+        ops.push(['+', to[j], fromEnd, j]);
+      }
+    } else {
+      // table[i][j] holds the length of the longest common subsequence of
+      // the remaining lines from[start + i:] and to[start + j:].
+      const table = [];
+      for (i = n; i >= 0; i--) {
+        table[i] = [];
+        for (j = m; j >= 0; j--) {
+          if (i === n || j === m) {
+            table[i][j] = 0;
+          } else if (from[start + i] === to[start + j]) {
+            table[i][j] = table[i + 1][j + 1] + 1;
+          } else {
+            table[i][j] = Math.max(table[i + 1][j], table[i][j + 1]);
+          }
+        }
+      }
+      i = 0;
+      j = 0;
+      while (i < n || j < m) {
+        if (i < n && j < m && from[start + i] === to[start + j]) {
+          ops.push([' ', from[start + i], start + i, start + j]);
+          i++;
+          j++;
+        } else if (j === m || (i < n && table[i + 1][j] >= table[i][j + 1])) {
+          ops.push(['-', from[start + i], start + i, start + j]);
+          i++;
+        } else {
+          ops.push(['+', to[start + j], start + i, start + j]);
+          j++;
+        }
+      }
+    }
+    for (i = fromEnd; i < from.length; i++) {
+      ops.push([' ', from[i], i, i - fromEnd + toEnd]);
+    }
+    return ops;
+  }
+
+  /**
+   * Returns a copy of the expected value where the asymmetric matchers that
+   * match the actual value are replaced by the actual value, so that they do
+   * not show up as differences in the diff.
+   *
+   * @private
+   * @param expected - The expected value.
+   * @param actual - The actual value.
+   * @param strict - Whether the matchers are matched like `toStrictlyEqual`.
+   * @param ancestors - The expected values that are being replaced.
+   * @returns The expected value with matched asymmetric matchers replaced.
+   */
+  function replaceMatchedMatchers(expected, actual, strict, ancestors) {
+    if (expected instanceof AsymmetricMatcher) {
+      const state = {strict: strict, actual: [], expected: []};
+      return deepEqual(actual, expected, null, '', state) ? actual : expected;
+    }
+    const _ancestors = ancestors || [];
+    const type = typeOf(expected);
+    if (
+      (type !== 'object' && type !== 'array' && type !== 'map') ||
+      typeOf(actual) !== type ||
+      _ancestors.indexOf(expected) !== -1
+    ) {
+      return expected;
+    }
+    _ancestors.push(expected);
+    if (type === 'map') {
+      const map = new Map();
+      expected.forEach(function (value, key) {
+        map.set(
+          key,
+          actual.has(key)
+            ? replaceMatchedMatchers(value, actual.get(key), strict, _ancestors)
+            : value
+        );
+      });
+      _ancestors.pop();
+      return map;
+    }
+    const copy =
+      type === 'array'
+        ? new Array(expected.length)
+        : Object.create(Object.getPrototypeOf(expected));
+    const keys = Reflect.ownKeys(expected).filter(function (key) {
+      return Object.prototype.propertyIsEnumerable.call(expected, key);
+    });
+    for (let i = 0, l = keys.length; i < l; i++) {
+      copy[keys[i]] = replaceMatchedMatchers(
+        expected[keys[i]],
+        actual[keys[i]],
+        strict,
+        _ancestors
+      );
+    }
+    _ancestors.pop();
+    return copy;
+  }
+
+  /**
+   * Creates a unified diff between the pretty-printed representations of the
+   * expected and the actual value. Asymmetric matchers that match the actual
+   * value are not reported as differences.
+   *
+   * @private
+   * @param expected - The expected value.
+   * @param actual - The actual value.
+   * @param strict - Whether the values are compared like `toStrictlyEqual`.
+   * @returns The unified diff, or null if both values print the same.
+   */
+  function createDiff(expected, actual, strict) {
+    const replaced = replaceMatchedMatchers(expected, actual, strict);
+    const ops = diffLines(
+      inspect(replaced, true).split('\n'),
+      inspect(actual, true).split('\n')
+    );
+    const lines = ['--- expected', '+++ actual'];
+    let i = 0;
+    while (i < ops.length) {
+      if (ops[i][0] === ' ') {
+        i++;
+        continue;
+      }
+      // Extend the hunk until there are more than two contexts' worth of
+      // unchanged lines between changes.
+      const hunkStart = Math.max(0, i - DIFF_CONTEXT);
+      let hunkEnd = i;
+      let unchanged = 0;
+      while (hunkEnd < ops.length && unchanged <= DIFF_CONTEXT * 2) {
+        unchanged = ops[hunkEnd][0] === ' ' ? unchanged + 1 : 0;
+        hunkEnd++;
+      }
+      hunkEnd -= Math.max(0, unchanged - DIFF_CONTEXT);
+      const hunk = ops.slice(hunkStart, hunkEnd);
+      let fromCount = 0;
+      let toCount = 0;
+      hunk.forEach(function (op) {
+        fromCount += op[0] === '+' ? 0 : 1;
+        toCount += op[0] === '-' ? 0 : 1;
+      });
+      lines.push(
+        `@@ -${hunk[0][2] + 1},${fromCount} +${hunk[0][3] + 1},${toCount} @@`
+      );
+      hunk.forEach(function (op) {
+        lines.push(op[0] + op[1]);
+      });
+      i = hunkEnd;
+    }
+    return lines.length > 2 ? lines.join('\n') : null;
+  }
+
+  /**
+   * Returns the section of an error message that lists mismatches or shape violations.
+   *
+   * @private
+   * @param title - The title of the section.
+   * @param list - The mismatches or violations, each with a `path` and a `message`.
+   * @returns The section, or an empty string if the list is empty.
+   */
+  function formatMismatches(title, list) {
+    if (!list || !list.length) {
+      return '';
+    }
+    const shown = list.slice(0, MAX_REPORTED_MISMATCHES);
+    let str = `\n\n${title}:`;
+    for (let i = 0; i < shown.length; i++) {
+      str += `\n  ${shown[i].path || '<root>'}: ${shown[i].message}`;
+    }
+    if (list.length > shown.length) {
+      str += `\n  ...and ${list.length - shown.length} more`;
+    }
+    return str;
+  }
+
+  /**
+   * Returns the string representation of the error. When the matcher was called
+   * with several arguments, all of them are listed.
    *
    * @returns The string representation of the error.
    */
@@ -462,15 +3288,27 @@
     if (this.message) {
       return `${this.name}: ${this.message}`;
     }
-    return [
+    let expected = this.expected !== NULL_VALUE ? inspect(this.expected) : '';
+    if (this.expectedArguments && this.expectedArguments.length > 1) {
+      expected = this.expectedArguments
+        .map(function (value) {
+          return inspect(value);
+        })
+        .join(', ');
+    }
+    let str = [
       `${this.name}: Expected`,
       this.description,
-      JSON.stringify(this.actual, replacer),
+      inspect(this.actual),
       this.operator,
-      this.expected !== NULL_VALUE
-        ? JSON.stringify(this.expected, replacer)
-        : '',
+      expected,
     ].join(' ');
+    str += formatMismatches('Mismatches', this.mismatches);
+    str += formatMismatches('Violations', this.violations);
+    if (this.diff) {
+      str += `\n\n${this.diff}`;
+    }
+    return str;
   };
 
   let hasDefineProperty = false;
@@ -524,23 +3362,59 @@
     this._description = description;
   }
 
-  function PromisedExpectation(actual, description) {
-    if (!actual || typeOf(actual.then) !== 'function') {
+  /**
+   * Represents an expectation on the value of a promise.
+   *
+   * By default, the matchers are applied to the value the promise resolves to,
+   * and the expectation fails if the promise rejects. If the settlement is
+   * `'rejects'`, the matchers are applied to the reason the promise rejects
+   * with instead, and the expectation fails if the promise resolves.
+   *
+   * @class
+   * @param actual - The promise to test.
+   * @param description - The value to test.
+   * @param settlement - Either `'resolves'` or `'rejects'`.
+   */
+  function PromisedExpectation(actual, description, settlement) {
+    if (!isThenable(actual)) {
       throw new TypeError('Expected a promise.');
     }
-    if (this._declareNot) {
-      this.not = new ReversedPromisedExpectation(actual, description);
-    }
     this._promise = Promise.resolve(actual);
     this._description = description;
+    this._settlement = settlement || 'resolves';
+    if (this._declareNot) {
+      this.not = new ReversedPromisedExpectation(
+        this._promise,
+        description,
+        settlement
+      );
+    }
+    if (this._declareSettlements && !settlement) {
+      this.resolves = new PromisedExpectation(actual, description, 'resolves');
+      this.rejects = new PromisedExpectation(actual, description, 'rejects');
+    }
   }
 
   const promisedNotGetter = function () {
     return (
-      this._not || (this._not = new ReversedPromisedExpectation(this._promise))
+      this._not ||
+      (this._not = new ReversedPromisedExpectation(
+        this._promise,
+        this._description,
+        this._settlement
+      ))
     );
   };
 
+  // The 'resolves' and 'rejects' modifiers keep reversed expectations reversed.
+  const resolvesGetter = function () {
+    return new this.constructor(this._promise, this._description, 'resolves');
+  };
+
+  const rejectsGetter = function () {
+    return new this.constructor(this._promise, this._description, 'rejects');
+  };
+
   PromisedExpectation.prototype.then = function (resolveFn, rejectFn) {
     return this._promise.then(resolveFn, rejectFn);
   };
@@ -549,20 +3423,146 @@
     return this._promise.then(null, rejectFn);
   };
 
+  /**
+   * Returns a promised expectation that fails if the promise does not settle
+   * within a number of milliseconds. Reversed expectations stay reversed.
+   *
+   * @param ms - The number of milliseconds.
+   * @returns The promised expectation.
+   */
+  PromisedExpectation.prototype.within = function (ms) {
+    return new this.constructor(
+      raceTimeout(this._promise, ms, pendingFailure(this._description, ms)),
+      this._description,
+      this._settlement
+    );
+  };
+
+  // For environments that support getters, we define getters for the 'not'
+  // property.
+  if (hasDefineProperty) {
+    Object.defineProperty(PromisedExpectation.prototype, 'not', {
+      get: promisedNotGetter,
+    });
+  } else if (typeof Expectation.prototype.__defineGetter__ === 'function') {
+    PromisedExpectation.prototype.__defineGetter__('not', promisedNotGetter);
+  } else {
+    PromisedExpectation.prototype._declareNot = true;
+  }
+
+  // Likewise for the 'resolves' and 'rejects' modifiers, on both promised
+  // expectations and their reversed counterparts.
+  [PromisedExpectation, ReversedPromisedExpectation].forEach(function (
+    Constructor
+  ) {
+    if (hasDefineProperty) {
+      Object.defineProperty(Constructor.prototype, 'resolves', {
+        get: resolvesGetter,
+      });
+      Object.defineProperty(Constructor.prototype, 'rejects', {
+        get: rejectsGetter,
+      });
+    } else if (typeof Expectation.prototype.__defineGetter__ === 'function') {
+      Constructor.prototype.__defineGetter__('resolves', resolvesGetter);
+      Constructor.prototype.__defineGetter__('rejects', rejectsGetter);
+    } else {
+      Constructor.prototype._declareSettlements = true;
+    }
+  });
+
+  /**
+   * Represents a promised expectation whose matchers are reversed. Used
+   * primarily as the not value in a PromisedExpectation.
+   *
+   * @class
+   * @param value - The promise to test.
+   * @param description - The value to test.
+   * @param settlement - Either `'resolves'` or `'rejects'`.
+   */
+  function ReversedPromisedExpectation(value, description, settlement) {
+    this._promise = value;
+    this._description = description;
+    this._settlement = settlement || 'resolves';
+    if (this._declareSettlements && !settlement) {
+      this.resolves = new ReversedPromisedExpectation(
+        value,
+        description,
+        'resolves'
+      );
+      this.rejects = new ReversedPromisedExpectation(
+        value,
+        description,
+        'rejects'
+      );
+    }
+  }
+
+  ReversedPromisedExpectation.prototype.within =
+    PromisedExpectation.prototype.within;
+
+  /**
+   * Represents an expectation on a value that is polled until the matchers pass
+   * or a time limit is reached.
+   *
+   * @class
+   * @param getter - The function that returns the value to test.
+   * @param options - The `timeout` and `interval` in milliseconds.
+   * @param description - The value to test.
+   */
+  function EventuallyExpectation(getter, options, description) {
+    if (typeof getter !== 'function') {
+      throw new TypeError('Expected a function.');
+    }
+    this._getter = getter;
+    this._options = options;
+    this._description = description;
+    if (this._declareNot) {
+      this.not = new ReversedEventuallyExpectation(
+        getter,
+        options,
+        description
+      );
+    }
+  }
+
+  const eventuallyNotGetter = function () {
+    return (
+      this._not ||
+      (this._not = new ReversedEventuallyExpectation(
+        this._getter,
+        this._options,
+        this._description
+      ))
+    );
+  };
+
   // For environments that support getters, we define getters for the 'not'
   // property.
   if (hasDefineProperty) {
-    Object.defineProperty(PromisedExpectation.prototype, 'not', {
-      get: promisedNotGetter,
+    Object.defineProperty(EventuallyExpectation.prototype, 'not', {
+      get: eventuallyNotGetter,
     });
   } else if (typeof Expectation.prototype.__defineGetter__ === 'function') {
-    PromisedExpectation.prototype.__defineGetter__('not', promisedNotGetter);
+    EventuallyExpectation.prototype.__defineGetter__(
+      'not',
+      eventuallyNotGetter
+    );
   } else {
-    PromisedExpectation.prototype._declareNot = true;
+    EventuallyExpectation.prototype._declareNot = true;
   }
 
-  function ReversedPromisedExpectation(value, description) {
-    this._promise = value;
+  /**
+   * Represents a polled expectation whose matchers are reversed. Used primarily
+   * as the not value in an EventuallyExpectation.
+   *
+   * @class
+   * @param getter - The function that returns the value to test.
+   * @param options - The `timeout` and `interval` in milliseconds.
+   * @param description - The value to test.
+   */
+  function ReversedEventuallyExpectation(getter, options, description) {
+    this._getter = getter;
+    this._options = options;
     this._description = description;
   }
 
@@ -593,75 +3593,534 @@
   }
 
   /**
-   * Applies a matcher to a set of arguments.
+   * Checks whether a value is a promise or another thenable.
+   *
+   * @private
+   * @param value - The value to check.
+   * @returns True if the value has a `then` method.
+   */
+  function isThenable(value) {
+    return !!value && typeOf(value.then) === 'function';
+  }
+
+  /**
+   * How the thrown value is called in the messages of `toThrow` and `toReject`.
+   *
+   * @private
+   * @type {Object}
+   */
+  const ThrownErrorSubjects = {
+    toThrow: {value: 'the thrown value', action: 'function to throw'},
+    toReject: {value: 'the rejection reason', action: 'promise to reject with'},
+  };
+
+  /**
+   * Returns the message of an expectation that failed because a promise did not
+   * settle as expected.
+   *
+   * @private
+   * @param description - The description of the expectation.
+   * @param expectation - What was expected, e.g., `'to resolve'`.
+   * @param rejected - True if the promise rejected, false if it resolved.
+   * @param value - The value or reason the promise settled with.
+   * @returns The message.
+   */
+  function settlementMessage(description, expectation, rejected, value) {
+    const settledValue =
+      value instanceof Error
+        ? `${value.name}: ${value.message}`
+        : inspect(value);
+    return [
+      'Expected',
+      description,
+      `promise ${expectation}, but it`,
+      rejected ? 'rejected' : 'resolved',
+      `with ${settledValue}`,
+    ]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Returns a handler that fails a promised expectation because the promise did
+   * not settle as expected. An `ExpectationError` from a previous matcher in
+   * the chain is passed through as is.
+   *
+   * @private
+   * @param description - The description of the expectation.
+   * @param rejected - True to handle rejections, false to handle fulfillments.
+   * @returns The handler.
+   */
+  function failSettlement(description, rejected) {
+    return function (value) {
+      if (rejected && value instanceof ExpectationError) {
+        throw value;
+      }
+      throw new ExpectationError({
+        message: settlementMessage(
+          description,
+          rejected ? 'to resolve' : 'to reject',
+          rejected,
+          value
+        ),
+        description: description,
+        operator: rejected ? 'to resolve' : 'to reject',
+        actual: value,
+        expected: NULL_VALUE,
+      });
+    };
+  }
+
+  /**
+   * The operator of the errors thrown when a promise is still pending after its
+   * time limit.
+   *
+   * @private
+   * @type {string}
+   */
+  const PENDING_OPERATOR = 'to settle within';
+
+  /**
+   * Returns a function that throws the error of a promise that is still pending
+   * after its time limit.
+   *
+   * @private
+   * @param description - The description of the expectation.
+   * @param ms - The time limit in milliseconds.
+   * @returns A function that takes the elapsed time and throws.
+   */
+  function pendingFailure(description, ms) {
+    return function (elapsed) {
+      throw new ExpectationError({
+        message: [
+          'Expected',
+          description,
+          `promise to settle within ${ms}ms, but it was still pending after`,
+          `${elapsed}ms`,
+        ]
+          .filter(Boolean)
+          .join(' '),
+        description: description,
+        operator: PENDING_OPERATOR,
+        actual: elapsed,
+        expected: ms,
+      });
+    };
+  }
+
+  /**
+   * Checks whether a value is the error of a promise that is still pending
+   * after its time limit. Such errors are never matched as rejection reasons.
+   *
+   * @private
+   * @param value - The value to check.
+   * @returns True if the value is a pending error.
+   */
+  function isPendingError(value) {
+    return (
+      value instanceof ExpectationError && value.operator === PENDING_OPERATOR
+    );
+  }
+
+  /**
+   * Settles like a promise, unless it is still pending after a number of
+   * milliseconds, in which case it settles with the result of `onTimeout`.
+   *
+   * @private
+   * @param promise - The promise.
+   * @param ms - The number of milliseconds.
+   * @param onTimeout - The function called with the elapsed time when the
+   *   promise is still pending. Its return value is resolved, and its errors
+   *   are rejected.
+   * @returns The new promise.
+   */
+  function raceTimeout(promise, ms, onTimeout) {
+    if (typeof ms !== 'number' || !(ms >= 0)) {
+      throw new ExpectationError({
+        message: 'Expected a non-negative number of milliseconds.',
+      });
+    }
+    const start = Date.now();
+    return new Promise(function (resolve, reject) {
+      const timer = setTimeout(function () {
+        try {
+          resolve(onTimeout(Date.now() - start));
+        } catch (e) {
+          reject(e);
+        }
+      }, ms);
+      promise.then(
+        function (value) {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        function (reason) {
+          clearTimeout(timer);
+          reject(reason);
+        }
+      );
+    });
+  }
+
+  /**
+   * Returns the options of the error thrown by a failing matcher.
+   *
+   * The `expected` option is the first expected value, or `NULL_VALUE` if the
+   * matcher was called without arguments, while `expectedArguments` lists all
+   * of them. Error properties set by the matcher take precedence.
+   *
+   * @private
+   * @param options - The base options of the error.
+   * @param expected - The expected values.
+   * @param errorProperties - The error properties set by the matcher.
+   * @returns The options of the error.
+   */
+  function matcherErrorOptions(options, expected, errorProperties) {
+    const _options = objectAssign(options, {
+      expected: expected.length ? expected[0] : NULL_VALUE,
+      expectedArguments: expected,
+    });
+    if ('expected' in errorProperties) {
+      _options.expectedArguments = [errorProperties.expected];
+    }
+    return objectAssign(_options, errorProperties);
+  }
+
+  /**
+   * Applies a matcher to a set of arguments. The matcher receives the actual
+   * value followed by every argument passed after `asNot`.
+   *
+   * If the matcher returns a promise, the result is a promise that resolves to
+   * the actual value once the matcher passes, and rejects with an
+   * `ExpectationError` if it fails.
    *
    * @private
    * @param name - The name of the matcher.
    * @param matcher - The matcher function.
    * @param asNot - If set to true, the matcher will be applied as a "not matcher."
-   * @param value - The expected value.
-   * @returns A joiner.
+   * @returns A joiner, or a promise with a promised joiner.
    */
-  function applyMatcher(name, matcher, asNot, value) {
-    let expected = arguments.length === 4 ? value : NULL_VALUE;
+  function applyMatcher(name, matcher, asNot) {
+    const args = slice.call(arguments, 3);
+    let expected = args;
     let errorProperties = {};
     const context = {
       setErrorProperties: function (errProps) {
         errorProperties = errProps;
       },
-      setExpected: function (_value) {
-        expected = _value;
+      setExpected: function () {
+        expected = slice.call(arguments);
       },
     };
-    if (!!matcher.call(context, this._actual, value) !== asNot) {
-      return {
-        and: this,
-      };
+    const actual = this._actual;
+    const description = this._description;
+    const stackFn = this[name];
+    const check = function (passed) {
+      if (!!passed !== asNot) {
+        return actual;
+      }
+      throw new ExpectationError(
+        matcherErrorOptions(
+          {
+            description: description,
+            operator: (asNot ? 'not ' : '') + makeHumanReadable(name),
+            actual: actual,
+            stackFn: stackFn,
+          },
+          expected,
+          errorProperties
+        )
+      );
+    };
+    // Expectations within the matcher itself, e.g., in a function passed to
+    // `toThrow`, are never collected by `expect.soft`.
+    const result = withoutSoftErrors(function () {
+      return matcher.apply(context, [actual].concat(args));
+    });
+    if (isThenable(result)) {
+      const retValue = collectSoftPromise(Promise.resolve(result).then(check));
+      retValue.and = new PromisedExpectation(retValue, description);
+      return retValue;
     }
-    throw new ExpectationError(
-      objectAssign(
-        {
-          description: this._description,
-          operator: (asNot ? 'not ' : '') + makeHumanReadable(name),
-          actual: this._actual,
-          expected: expected,
-          stackFn: this[name],
-        },
-        errorProperties
-      )
-    );
+    if (softErrors) {
+      try {
+        check(result);
+      } catch (e) {
+        softErrors.errors.push(e);
+      }
+    } else {
+      check(result);
+    }
+    return {
+      and: this,
+    };
   }
 
   /**
-   * Applies a promised matcher to a set of arguments.
+   * Applies a promised matcher to a set of arguments. The matcher receives the
+   * settled value followed by every argument passed after `asNot`. If the
+   * matcher returns a promise, it is awaited.
    *
    * @private
    * @param name - The name of the matcher.
    * @param matcher - The matcher function.
    * @param asNot - If set to true, the matcher will be applied as a "not matcher."
-   * @param value - The expected value.
    * @returns A joiner.
    */
-  function applyPromisedMatcher(name, matcher, asNot, value) {
-    let expected = arguments.length === 4 ? value : NULL_VALUE;
+  function applyPromisedMatcher(name, matcher, asNot) {
+    const args = slice.call(arguments, 3);
+    const description = this._description;
+    let expected = args;
+    let errorProperties = {};
     const context = {
-      setExpected: function (_value) {
-        expected = _value;
+      setErrorProperties: function (errProps) {
+        errorProperties = errProps;
+      },
+      setExpected: function () {
+        expected = slice.call(arguments);
       },
     };
     const caller = function (actual) {
-      if (!!matcher.call(context, actual, value) !== asNot) {
-        return actual;
-      }
-      throw new ExpectationError({
-        operator: (asNot ? 'not ' : '') + makeHumanReadable(name),
-        actual: actual,
-        expected: expected,
-        stackFn: this[name],
+      const check = function (passed) {
+        if (!!passed !== asNot) {
+          return actual;
+        }
+        throw new ExpectationError(
+          matcherErrorOptions(
+            {
+              description: description,
+              operator: (asNot ? 'not ' : '') + makeHumanReadable(name),
+              actual: actual,
+              stackFn: this[name],
+            },
+            expected,
+            errorProperties
+          )
+        );
+      };
+      const result = withoutSoftErrors(function () {
+        return matcher.apply(context, [actual].concat(args));
+      });
+      return isThenable(result)
+        ? Promise.resolve(result).then(check)
+        : check(result);
+    };
+    const retValue = collectSoftPromise(
+      this._settlement === 'rejects'
+        ? this._promise.then(
+            failSettlement(description, false),
+            function (reason) {
+              if (isPendingError(reason)) {
+                throw reason;
+              }
+              return caller(reason);
+            }
+          )
+        : this._promise.then(caller, failSettlement(description, true))
+    );
+    retValue.and = new PromisedExpectation(retValue, description);
+    return retValue;
+  }
+
+  /**
+   * Applies the `toResolve` or `toReject` matcher to a promised expectation.
+   *
+   * The matcher checks how the promise settles, regardless of the `resolves`
+   * and `rejects` modifiers. `toReject` can also check the rejection reason
+   * against an `error` argument, like `toThrow`.
+   *
+   * @private
+   * @param name - Either `'toResolve'` or `'toReject'`.
+   * @param asNot - If set to true, the matcher will be applied as a "not matcher."
+   * @param error - The error to check the rejection reason against.
+   * @returns A promise that resolves to the value or reason the promise settled
+   *   with, with a promised joiner.
+   */
+  function applySettlementMatcher(name, asNot, error) {
+    const hasError = arguments.length > 2;
+    const expectsRejection = name === 'toReject';
+    const description = this._description;
+    const expectation = (asNot ? 'not ' : '') + makeHumanReadable(name).trim();
+    let errorProperties = {};
+    const context = {
+      setErrorProperties: function (errProps) {
+        errorProperties = errProps;
+      },
+      setExpected: function () {
+        // Noop, the expected error is always the passed one.
+      },
+    };
+    const settle = function (rejected) {
+      return function (value) {
+        if (isPendingError(value)) {
+          throw value;
+        }
+        let passed = rejected === expectsRejection;
+        if (passed && rejected && hasError) {
+          passed = matchThrownError(
+            context,
+            value,
+            error,
+            ThrownErrorSubjects.toReject
+          );
+        }
+        if (passed !== asNot) {
+          return value;
+        }
+        throw new ExpectationError(
+          objectAssign(
+            {
+              message: settlementMessage(
+                description,
+                hasError
+                  ? `${expectation} with ${inspect(expectedError(error))}`
+                  : expectation,
+                rejected,
+                value
+              ),
+              description: description,
+              operator: expectation,
+              actual: value,
+              expected: hasError ? error : NULL_VALUE,
+            },
+            asNot ? {} : errorProperties
+          )
+        );
+      };
+    };
+    const retValue = collectSoftPromise(
+      this._promise.then(settle(false), settle(true))
+    );
+    retValue.and = new PromisedExpectation(retValue, description);
+    return retValue;
+  }
+
+  /**
+   * Applies the `toSettleWithin` matcher to a promised expectation, which
+   * checks whether the promise resolves or rejects within a number of milliseconds.
+   *
+   * @private
+   * @param asNot - If set to true, the matcher will be applied as a "not matcher."
+   * @param ms - The number of milliseconds.
+   * @returns A promise that resolves to the value or reason the promise settled
+   *   with, with a promised joiner.
+   */
+  function applySettleWithinMatcher(asNot, ms) {
+    const description = this._description;
+    const pending = {};
+    const settle = function (rejected) {
+      return function (value) {
+        if (value === pending) {
+          return undefined;
+        }
+        if (rejected && isPendingError(value)) {
+          throw value;
+        }
+        if (!asNot) {
+          return value;
+        }
+        throw new ExpectationError({
+          message: settlementMessage(
+            description,
+            `not ${PENDING_OPERATOR} ${ms}ms`,
+            rejected,
+            value
+          ),
+          description: description,
+          operator: `not ${PENDING_OPERATOR}`,
+          actual: value,
+          expected: ms,
+        });
+      };
+    };
+    const onTimeout = asNot
+      ? function () {
+          return pending;
+        }
+      : pendingFailure(description, ms);
+    const retValue = collectSoftPromise(
+      raceTimeout(this._promise, ms, onTimeout).then(
+        settle(false),
+        settle(true)
+      )
+    );
+    retValue.and = new PromisedExpectation(retValue, description);
+    return retValue;
+  }
+
+  /**
+   * Applies a matcher to a polled expectation.
+   *
+   * The getter is called and the matcher applied to its value, awaiting both if
+   * they return promises, until the matcher passes. Each attempt is raced
+   * against the time left, so a slow or hanging getter can't overshoot the
+   * timeout. If it still fails once the timeout is reached, the promise rejects
+   * with the last `ExpectationError`, or a pending error if no attempt
+   * finished, annotated with the number of attempts and the duration. Any other
+   * error rejects the promise right away.
+   *
+   * @private
+   * @param name - The name of the matcher.
+   * @param asNot - If set to true, the matcher will be applied as a "not matcher."
+   * @returns A promise that resolves to the value that passed, with a promised joiner.
+   */
+  function applyEventuallyMatcher(name, asNot) {
+    const args = slice.call(arguments, 2);
+    const getter = this._getter;
+    const description = this._description;
+    const options = this._options || {};
+    const timeout = options.timeout === undefined ? 1000 : options.timeout;
+    const interval = options.interval === undefined ? 50 : options.interval;
+    const start = Date.now();
+    let attempts = 0;
+    let lastError = null;
+    const attempt = function () {
+      attempts++;
+      let timedOut = false;
+      const result = Promise.resolve()
+        .then(function () {
+          return getter();
+        })
+        .then(function (value) {
+          const expectation = asNot
+            ? new ReversedExpectation(value, description)
+            : new Expectation(value, description);
+          return Promise.resolve(
+            withoutSoftErrors(function () {
+              return expectation[name].apply(expectation, args);
+            })
+          ).then(function () {
+            return value;
+          });
+        });
+      const remaining = Math.max(0, timeout - (Date.now() - start));
+      return raceTimeout(result, remaining, function () {
+        timedOut = true;
+        if (lastError) {
+          throw lastError;
+        }
+        return pendingFailure(description, timeout)(Date.now() - start);
+      }).then(null, function (error) {
+        const duration = Date.now() - start;
+        if (!(error instanceof ExpectationError)) {
+          throw error;
+        }
+        if (timedOut || duration >= timeout) {
+          error.attempts = attempts;
+          error.duration = duration;
+          error.message += `\n\nStill failing after ${attempts} ${
+            attempts === 1 ? 'attempt' : 'attempts'
+          } in ${duration}ms`;
+          throw error;
+        }
+        lastError = error;
+        return new Promise(function (resolve) {
+          setTimeout(resolve, Math.min(interval, timeout - duration));
+        }).then(attempt);
       });
     };
-    const retValue = this._promise.then(caller, caller);
-    retValue.and = new PromisedExpectation(retValue);
+    const retValue = collectSoftPromise(attempt());
+    retValue.and = new PromisedExpectation(retValue, description);
     return retValue;
   }
 
@@ -692,38 +4151,275 @@
       matcher,
       true
     );
+    EventuallyExpectation.prototype[name] = partial(
+      applyEventuallyMatcher,
+      name,
+      false
+    );
+    ReversedEventuallyExpectation.prototype[name] = partial(
+      applyEventuallyMatcher,
+      name,
+      true
+    );
+  }
+
+  /**
+   * Creates an alias to a matcher.
+   *
+   * @param name - The name of the matcher to alias.
+   * @param alias - The new name for the matcher.
+   */
+  function aliasMatcher(name, alias) {
+    if (!Expectation.prototype[name]) {
+      return;
+    }
+    const caller = function () {
+      return this[name].apply(this, arguments);
+    };
+    Expectation.prototype[alias] = caller;
+    ReversedExpectation.prototype[alias] = caller;
+    PromisedExpectation.prototype[alias] = caller;
+    ReversedPromisedExpectation.prototype[alias] = caller;
+    EventuallyExpectation.prototype[alias] = caller;
+    ReversedEventuallyExpectation.prototype[alias] = caller;
+  }
+
+  /**
+   * Adds multiple matchers
+   *
+   * @param matchers - The matchers to add.
+   */
+  function addMatchers(matchers) {
+    for (const name in matchers) {
+      if (!matchers.hasOwnProperty(name)) {
+        continue;
+      }
+      addMatcher(name, matchers[name]);
+    }
+  }
+
+  /**
+   * Returns the items of a collection as an iterable: the items of arrays,
+   * `arguments` and other iterables, or the values of a Map.
+   *
+   * @private
+   * @param value - The collection.
+   * @returns The iterable items, or null if the value is not a collection.
+   */
+  function collectionItems(value) {
+    switch (typeOf(value)) {
+      case 'array':
+      case 'arguments':
+        return slice.call(value);
+      case 'map':
+        return value.values();
+      default:
+        if (
+          isObjectLike(value) &&
+          typeof value[Symbol.iterator] === 'function'
+        ) {
+          return value;
+        }
+        return null;
+    }
+  }
+
+  /**
+   * Checks whether a collection contains an item.
+   *
+   * Strings contain their substrings. For other collections, the matcher
+   * function is called for each item until it returns true, so that infinite
+   * iterables stop at the first match. If the collection is an iterable that
+   * can't be printed, such as a generator, the items consumed so far are shown
+   * in error messages instead.
+   *
+   * @private
+   * @param context - The context of the matcher.
+   * @param actual - The collection.
+   * @param item - The item to look for.
+   * @param matches - The function that compares an item of the collection with
+   *   the item to look for.
+   * @returns True if the collection contains the item.
+   */
+  function containsItem(context, actual, item, matches) {
+    if (typeof actual === 'string') {
+      return typeof item === 'string' && actual.indexOf(item) !== -1;
+    }
+    const items = collectionItems(actual);
+    if (!items) {
+      return false;
+    }
+    const type = typeOf(actual);
+    const consumed =
+      type !== 'array' && type !== 'map' && type !== 'set' ? [] : null;
+    let found = false;
+    for (const member of items) {
+      if (consumed) {
+        consumed.push(member);
+      }
+      if (matches(member, item)) {
+        found = true;
+        break;
+      }
+    }
+    if (consumed) {
+      context.setErrorProperties({actual: consumed});
+    }
+    return found;
+  }
+
+  /**
+   * Returns the kind of an ordered value. Numbers and BigInts can be compared
+   * with each other, Dates can be compared with Dates.
+   *
+   * @private
+   * @param value - The value.
+   * @returns The kind of the value, or null if it can't be ordered.
+   */
+  function orderedKind(value) {
+    switch (typeOf(value)) {
+      case 'number':
+      case 'bigint':
+        return 'number';
+      case 'date':
+        return 'date';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Compares two ordered values.
+   *
+   * @private
+   * @param name - The name of the matcher, used for usage errors.
+   * @param actual - The actual value.
+   * @param expected - The number, BigInt or Date to compare against.
+   * @returns A negative number if the actual value is smaller, a positive
+   *   number if it's greater, zero if both are equal, or NaN if the values
+   *   can't be compared.
+   */
+  function compareOrdered(name, actual, expected) {
+    const kind = orderedKind(expected);
+    if (!kind) {
+      throw new ExpectationError({
+        message: `${name} expects a number, BigInt or Date parameter.`,
+      });
+    }
+    if (orderedKind(actual) !== kind) {
+      return NaN;
+    }
+    const a = kind === 'date' ? actual.getTime() : actual;
+    const b = kind === 'date' ? expected.getTime() : expected;
+    if (a < b) {
+      return -1;
+    }
+    if (a > b) {
+      return 1;
+    }
+    return Number.isNaN(a) || Number.isNaN(b) ? NaN : 0;
   }
 
   /**
-   * Creates an alias to a matcher.
+   * Returns the distance between two ordered values of the same kind. The
+   * distance between Dates is in milliseconds.
    *
-   * @param name - The name of the matcher to alias.
-   * @param alias - The new name for the matcher.
+   * @private
+   * @param actual - The actual value.
+   * @param expected - The expected value.
+   * @returns The distance as a number.
    */
-  function aliasMatcher(name, alias) {
-    if (!Expectation.prototype[name]) {
-      return;
+  function orderedDistance(actual, expected) {
+    if (orderedKind(actual) === 'date') {
+      return Math.abs(actual.getTime() - expected.getTime());
     }
-    const caller = function () {
-      return this[name].apply(this, arguments);
-    };
-    Expectation.prototype[alias] = caller;
-    ReversedExpectation.prototype[alias] = caller;
-    PromisedExpectation.prototype[alias] = caller;
-    ReversedPromisedExpectation.prototype[alias] = caller;
+    if (typeof actual === 'bigint' && typeof expected === 'bigint') {
+      return Math.abs(Number(actual - expected));
+    }
+    return Math.abs(Number(actual) - Number(expected));
   }
 
   /**
-   * Adds multiple matchers
+   * Returns how an error argument of `toThrow` or `toReject` is shown: the name
+   * of an error constructor, or the argument itself.
    *
-   * @param matchers - The matchers to add.
+   * @private
+   * @param error - The error argument.
+   * @returns The value to show.
    */
-  function addMatchers(matchers) {
-    for (const name in matchers) {
-      if (!matchers.hasOwnProperty(name)) {
-        continue;
+  function expectedError(error) {
+    if (
+      typeOf(error) === 'function' &&
+      (error === Error || error.prototype instanceof Error)
+    ) {
+      return error.prototype.name;
+    }
+    return error;
+  }
+
+  /**
+   * Checks whether a thrown value matches an error argument:
+   *
+   * - If the `error` argument is a string, it is compared against the `message`
+   *   of the thrown error.
+   * - If the `error` argument is a regular expression, the `message` of the
+   *   thrown error is tested against it.
+   * - If the `error` argument is a constructor function, the `name` property of
+   *   the thrown error is compared against the `name` value of the constructor
+   *   function's `prototype`.
+   *
+   * @private
+   * @param context - The context of the matcher.
+   * @param actualError - The thrown value.
+   * @param error - The error argument. Any error matches if it is falsy.
+   * @param subject - How the thrown value is called in error messages.
+   * @returns True if the thrown value matches the error argument.
+   */
+  function matchThrownError(context, actualError, error, subject) {
+    if (!error) {
+      return true;
+    }
+    if (!(actualError instanceof Error)) {
+      context.setErrorProperties({
+        message: `Expected ${subject.value} to inherit from Error, got ${typeOf(
+          actualError
+        )}`,
+        actual: actualError,
+        expected: error,
+      });
+      return false;
+    }
+    switch (typeOf(error)) {
+      case 'string': {
+        if (actualError.message === error) {
+          return true;
+        }
+        context.setErrorProperties({
+          message:
+            `Expected ${subject.action} an error with a message ` +
+            'that match the expected string',
+          actual: actualError.message,
+          expected: error,
+        });
+        return false;
       }
-      addMatcher(name, matchers[name]);
+      case 'regexp': {
+        if (error.test(actualError.message)) {
+          return true;
+        }
+        context.setErrorProperties({
+          message:
+            `Expected ${subject.action} an error with a message that ` +
+            'match the expected regexp pattern',
+          actual: actualError.message,
+          expected: error.toString(),
+        });
+        return false;
+      }
+      case 'function':
+        return actualError.name === error.prototype.name;
+      default:
+        return false;
     }
   }
 
@@ -1100,12 +4796,61 @@
        * @returns True if the actual and expected value have similar structures.
        */
       toBeLike: function (actual, expected) {
-        return deepEqual(actual, expected);
+        const mismatches = [];
+        if (deepEqual(actual, expected, mismatches)) {
+          return true;
+        }
+        this.setErrorProperties({
+          mismatches: mismatches,
+          diff: createDiff(expected, actual),
+        });
+        return false;
+      },
+
+      /**
+       * Returns whether the original value is strictly equal in composition to
+       * the passed value.
+       *
+       * Unlike `toBeLike`, this matcher also compares prototypes, symbol keys,
+       * non-enumerable own properties and the enumerability of properties, and
+       * it distinguishes properties set to `undefined` (and array holes) from
+       * missing ones. Primitives are compared using `Object.is`.
+       *
+       * @param actual - The actual value.
+       * @param expected - The value to check against.
+       * @returns True if the actual and expected value have strictly equal structures.
+       */
+      toStrictlyEqual: function (actual, expected) {
+        const mismatches = [];
+        const state = {strict: true, actual: [], expected: []};
+        if (deepEqual(actual, expected, mismatches, '', state)) {
+          return true;
+        }
+        this.setErrorProperties({
+          mismatches: mismatches,
+          diff: createDiff(expected, actual, true),
+        });
+        return false;
       },
 
+      /**
+       * Returns whether the actual value has the passed shape.
+       *
+       * When the value does not have the shape, the thrown error lists every
+       * violation, i.e., every path where the value does not match the shape,
+       * in its message and in its `violations` property.
+       *
+       * @param actual - The actual value.
+       * @param shape - The shape, or a descriptor for an Object shape.
+       * @returns True if the actual value has the shape.
+       */
       toHaveShape: function (actual, shape) {
-        if (!compareShape(shape, actual)) {
-          this.setExpected(JSON.parse(JSON.stringify(shape, replacer)));
+        const violations = [];
+        if (!compareShape(shape, actual, violations)) {
+          this.setErrorProperties({
+            expected: NULL_VALUE,
+            violations: violations,
+          });
           return false;
         }
         return true;
@@ -1135,16 +4880,8 @@
        *   similar to the provided error value.
        */
       toThrow: function (actual, error) {
-        const errorType = typeOf(error);
         if (error) {
-          if (
-            errorType === 'function' &&
-            (error === Error || error.prototype instanceof Error)
-          ) {
-            this.setExpected(error.prototype.name);
-          } else {
-            this.setExpected(error);
-          }
+          this.setExpected(expectedError(error));
         }
 
         if (typeOf(actual) !== 'function') {
@@ -1172,51 +4909,12 @@
           return false;
         }
 
-        if (!error) {
-          return true;
-        }
-        if (!(actualError instanceof Error)) {
-          this.setErrorProperties({
-            message: `Expected the thrown value to inherit from Error, got ${typeOf(
-              actualError
-            )}`,
-            actual: actualError,
-            expected: error,
-          });
-          return false;
-        }
-        switch (errorType) {
-          case 'string': {
-            if (actualError.message === error) {
-              return true;
-            }
-            this.setErrorProperties({
-              message:
-                'Expected function to throw an error with a message ' +
-                'that match the expected string',
-              actual: actualError.message,
-              expected: error,
-            });
-            return false;
-          }
-          case 'regexp': {
-            if (error.test(actualError.message)) {
-              return true;
-            }
-            this.setErrorProperties({
-              message:
-                'Expected function to throw an error with a message that ' +
-                'match the expected regexp pattern',
-              actual: actualError.message,
-              expected: error.toString(),
-            });
-            return false;
-          }
-          case 'function':
-            return actualError.name === error.prototype.name;
-          default:
-            return false;
-        }
+        return matchThrownError(
+          this,
+          actualError,
+          error,
+          ThrownErrorSubjects.toThrow
+        );
       },
 
       /**
@@ -1230,6 +4928,158 @@
         this.setExpected(expression.toString());
         return expression.test(actual);
       },
+
+      /**
+       * Returns whether the actual value contains an item.
+       *
+       * Strings are checked for a substring. For arrays, arguments, Sets and
+       * any other iterable, the items are compared with the item using the
+       * SameValueZero algorithm, like `Array.prototype.includes`. For Maps, the
+       * values are compared.
+       *
+       * @param actual - The actual value.
+       * @param item - The item to look for.
+       * @returns True if the value contains the item.
+       */
+      toContain: function (actual, item) {
+        return containsItem(this, actual, item, function (member, _item) {
+          return (
+            member === _item || (Number.isNaN(member) && Number.isNaN(_item))
+          );
+        });
+      },
+
+      /**
+       * Returns whether the actual value contains an item that is similar to
+       * the passed item, using the same comparison as `toBeLike`.
+       *
+       * Strings are checked for a substring. For arrays, arguments, Sets and
+       * any other iterable, the items are compared. For Maps, the values are compared.
+       *
+       * @param actual - The actual value.
+       * @param item - The item to look for.
+       * @returns True if the value contains a similar item.
+       */
+      toContainLike: function (actual, item) {
+        return containsItem(this, actual, item, function (member, _item) {
+          return deepEqual(member, _item);
+        });
+      },
+
+      /**
+       * Returns whether the actual value is greater than the expected value.
+       * Numbers and BigInts can be compared with each other, Dates with Dates.
+       *
+       * @param actual - The actual value.
+       * @param expected - The number, BigInt or Date to compare against.
+       * @returns True if the actual value is greater than the expected value.
+       */
+      toBeGreaterThan: function (actual, expected) {
+        return compareOrdered('toBeGreaterThan', actual, expected) > 0;
+      },
+
+      /**
+       * Returns whether the actual value is greater than or equal to the expected value.
+       *
+       * @param actual - The actual value.
+       * @param expected - The number, BigInt or Date to compare against.
+       * @returns True if the actual value is greater than or equal to the expected value.
+       */
+      toBeGreaterThanOrEqual: function (actual, expected) {
+        return compareOrdered('toBeGreaterThanOrEqual', actual, expected) >= 0;
+      },
+
+      /**
+       * Returns whether the actual value is less than the expected value.
+       *
+       * @param actual - The actual value.
+       * @param expected - The number, BigInt or Date to compare against.
+       * @returns True if the actual value is less than the expected value.
+       */
+      toBeLessThan: function (actual, expected) {
+        return compareOrdered('toBeLessThan', actual, expected) < 0;
+      },
+
+      /**
+       * Returns whether the actual value is less than or equal to the expected value.
+       *
+       * @param actual - The actual value.
+       * @param expected - The number, BigInt or Date to compare against.
+       * @returns True if the actual value is less than or equal to the expected value.
+       */
+      toBeLessThanOrEqual: function (actual, expected) {
+        return compareOrdered('toBeLessThanOrEqual', actual, expected) <= 0;
+      },
+
+      /**
+       * Returns whether the actual value lies between two values, inclusive.
+       *
+       * @param actual - The actual value.
+       * @param min - The lower bound.
+       * @param max - The upper bound.
+       * @returns True if the actual value is between the bounds.
+       */
+      toBeBetween: function (actual, min, max) {
+        return (
+          compareOrdered('toBeBetween', actual, min) >= 0 &&
+          compareOrdered('toBeBetween', actual, max) <= 0
+        );
+      },
+
+      /**
+       * Returns whether the actual value is close to the expected value.
+       *
+       * For numbers and BigInts, the precision is either the number of decimal
+       * digits to check, so the distance must be less than `10 ** -digits / 2`,
+       * or an `{epsilon}` object, so the distance must not exceed the epsilon.
+       * For Dates, the precision is an `{epsilon}` in milliseconds.
+       *
+       * @param actual - The actual value.
+       * @param expected - The number, BigInt or Date to compare against.
+       * @param digitsOrEpsilon - The precision. Defaults to 2 digits for
+       *   numbers and an epsilon of 0 milliseconds for Dates.
+       * @returns True if the actual value is close to the expected value.
+       */
+      toBeCloseTo: function (actual, expected, digitsOrEpsilon) {
+        const isDate = orderedKind(expected) === 'date';
+        let digits = null;
+        let epsilon = null;
+        if (digitsOrEpsilon === undefined) {
+          digits = isDate ? null : 2;
+          epsilon = isDate ? 0 : null;
+        } else if (
+          typeOf(digitsOrEpsilon) === 'object' &&
+          typeof digitsOrEpsilon.epsilon === 'number' &&
+          digitsOrEpsilon.epsilon >= 0
+        ) {
+          epsilon = digitsOrEpsilon.epsilon;
+        } else if (
+          !isDate &&
+          Number.isInteger(digitsOrEpsilon) &&
+          digitsOrEpsilon >= 0
+        ) {
+          digits = digitsOrEpsilon;
+        } else {
+          throw new ExpectationError({
+            message: isDate
+              ? 'toBeCloseTo expects an {epsilon} in milliseconds for Dates.'
+              : 'toBeCloseTo expects a non-negative integer number of ' +
+                'digits or an {epsilon}.',
+          });
+        }
+        const comparison = compareOrdered('toBeCloseTo', actual, expected);
+        if (comparison === 0) {
+          return true;
+        }
+        if (Number.isNaN(comparison)) {
+          return false;
+        }
+        const distance = orderedDistance(actual, expected);
+        if (epsilon === null) {
+          return distance < Math.pow(10, -digits) / 2;
+        }
+        return distance <= epsilon;
+      },
     }
   );
 
@@ -1243,6 +5093,38 @@
   aliasMatcher('toBeNumber', 'toBeANumber');
   aliasMatcher('toBeString', 'toBeAString');
 
+  /**
+   * Settlement matchers, which only exist on promised expectations.
+   */
+  PromisedExpectation.prototype.toResolve = partial(
+    applySettlementMatcher,
+    'toResolve',
+    false
+  );
+  ReversedPromisedExpectation.prototype.toResolve = partial(
+    applySettlementMatcher,
+    'toResolve',
+    true
+  );
+  PromisedExpectation.prototype.toReject = partial(
+    applySettlementMatcher,
+    'toReject',
+    false
+  );
+  ReversedPromisedExpectation.prototype.toReject = partial(
+    applySettlementMatcher,
+    'toReject',
+    true
+  );
+  PromisedExpectation.prototype.toSettleWithin = partial(
+    applySettleWithinMatcher,
+    false
+  );
+  ReversedPromisedExpectation.prototype.toSettleWithin = partial(
+    applySettleWithinMatcher,
+    true
+  );
+
   /**
    * The main expectation function.
    *
@@ -1255,9 +5137,114 @@
   }
 
   expect.promised = function (actual, description) {
-    return new PromisedExpectation(actual, description);
+    const expectation = new PromisedExpectation(actual, description);
+    return expect.promised.timeout > 0
+      ? expectation.within(expect.promised.timeout)
+      : expectation;
+  };
+
+  /**
+   * Runs a function in which failing matchers don't throw. Their
+   * `ExpectationError`s are collected instead, and thrown together in a
+   * `SoftExpectationError` once the function returns.
+   *
+   * The expectations within matchers are not collected. Matchers and promised
+   * expectations that return a promise are awaited, and so is the function if
+   * it returns a promise, in which case failures keep being collected until the
+   * promise settles, and an `ExpectationError` it rejects with is collected as
+   * well. The failures of a synchronous call nested in another one are
+   * collected by the outer call.
+   *
+   * @param fn - The function to run.
+   * @returns The return value of the function, or a promise of it if anything
+   *   had to be awaited.
+   */
+  expect.soft = function (fn) {
+    const previous = softErrors;
+    const collector = (softErrors = {errors: [], pending: []});
+    const errors = collector.errors;
+    const collect = function (error) {
+      if (error instanceof SoftExpectationError) {
+        errors.push.apply(errors, error.errors);
+      } else if (error instanceof ExpectationError) {
+        errors.push(error);
+      } else {
+        throw error;
+      }
+    };
+    const done = function (value) {
+      if (errors.length) {
+        throw new SoftExpectationError(errors);
+      }
+      return value;
+    };
+    const finish = function (value) {
+      return Promise.all(collector.pending).then(function (outcomes) {
+        outcomes.forEach(function (error) {
+          if (error) {
+            errors.push(error);
+          }
+        });
+        return done(value);
+      });
+    };
+    let result;
+    try {
+      result = fn();
+    } catch (e) {
+      softErrors = previous;
+      collect(e);
+    }
+    if (isThenable(result)) {
+      // Keep collecting until the promise settles, so that the expectations
+      // after an `await` in an async function are collected too.
+      const release = function () {
+        if (softErrors === collector) {
+          softErrors = previous;
+        }
+      };
+      return Promise.resolve(result).then(
+        function (value) {
+          release();
+          return finish(value);
+        },
+        function (e) {
+          release();
+          collect(e);
+          return finish();
+        }
+      );
+    }
+    softErrors = previous;
+    if (previous) {
+      previous.errors.push.apply(previous.errors, errors);
+      previous.pending.push.apply(previous.pending, collector.pending);
+      return result;
+    }
+    return collector.pending.length ? finish(result) : done(result);
+  };
+
+  /**
+   * Creates an expectation on a value that is polled until the matchers pass.
+   *
+   * @param getter - The function that returns the value to test, or a promise of it.
+   * @param options - The `timeout` after which the expectation fails, and the
+   *   `interval` between attempts, in milliseconds. They default to 1000 and 50.
+   * @param description - The value to test.
+   * @returns The polled expectation.
+   */
+  expect.eventually = function (getter, options, description) {
+    return new EventuallyExpectation(getter, options, description);
   };
 
+  /**
+   * The default number of milliseconds promised expectations have to settle, as
+   * if `within` was called on each of them. Zero disables the default.
+   *
+   * @type {number}
+   */
+  expect.promised.timeout = 0;
+
   /**
    * A representation of a null value used as a placeholder for user input.
    *
@@ -1285,6 +5272,164 @@
     });
   };
 
+  /**
+   * Creates an asymmetric matcher for any value created by a constructor.
+   * Primitives match their wrapper constructor, e.g., `expect.any(Number)`
+   * matches `1`, while `expect.any(Object)` only matches non-null objects.
+   *
+   * @param Constructor - The constructor function.
+   * @returns The asymmetric matcher.
+   */
+  expect.any = function (Constructor) {
+    if (typeof Constructor !== 'function') {
+      throw new Error('any expects a constructor parameter.');
+    }
+    const matcher = function (actual) {
+      if (Constructor === Object) {
+        return typeof actual === 'object' && actual !== null;
+      }
+      return (
+        actual !== null &&
+        actual !== undefined &&
+        Object(actual) instanceof Constructor
+      );
+    };
+    return new AsymmetricMatcher(
+      `Any.<${Constructor.name || 'anonymous'}>`,
+      matcher
+    );
+  };
+
+  /**
+   * Creates an asymmetric matcher for any value except `null` and `undefined`.
+   *
+   * @returns The asymmetric matcher.
+   */
+  expect.anything = function () {
+    return new AsymmetricMatcher('Anything', function (actual) {
+      return actual !== null && actual !== undefined;
+    });
+  };
+
+  /**
+   * Creates an asymmetric matcher for strings that match a regular expression,
+   * or that contain a substring.
+   *
+   * @param pattern - The regular expression or substring.
+   * @returns The asymmetric matcher.
+   */
+  expect.stringMatching = function (pattern) {
+    const isRegExp = typeOf(pattern) === 'regexp';
+    if (!isRegExp && typeof pattern !== 'string') {
+      throw new Error(
+        'stringMatching expects a regular expression or string parameter.'
+      );
+    }
+    const matcher = function (actual) {
+      return (
+        typeof actual === 'string' &&
+        (isRegExp ? pattern.test(actual) : actual.indexOf(pattern) !== -1)
+      );
+    };
+    return new AsymmetricMatcher(
+      `StringMatching.<${isRegExp ? pattern.toString() : inspect(pattern)}>`,
+      matcher
+    );
+  };
+
+  /**
+   * Creates an asymmetric matcher for arrays that contain all of the given
+   * items, in any order, compared like `toBeLike`. The array may have other items.
+   *
+   * @param items - The expected items.
+   * @returns The asymmetric matcher.
+   */
+  expect.arrayContaining = function (items) {
+    if (typeOf(items) !== 'array') {
+      throw new Error('arrayContaining expects an array parameter.');
+    }
+    const matcher = function (actual, mismatches, path, state) {
+      if (typeOf(actual) !== 'array') {
+        return false;
+      }
+      let equal = true;
+      for (let i = 0, l = items.length; i < l; i++) {
+        const found = actual.some(function (member) {
+          return deepEqual(member, items[i], null, '', state);
+        });
+        if (found) {
+          continue;
+        }
+        if (!mismatches) {
+          return false;
+        }
+        equal = addMismatch(
+          mismatches,
+          path,
+          undefined,
+          items[i],
+          `missing member ${inspect(items[i])}`
+        );
+      }
+      return equal;
+    };
+    return new AsymmetricMatcher(
+      `ArrayContaining.<${inspect(items)}>`,
+      matcher
+    );
+  };
+
+  /**
+   * Creates an asymmetric matcher for objects that have all of the given
+   * properties, compared like `toBeLike`. The object may have other properties.
+   *
+   * @param properties - The expected properties.
+   * @returns The asymmetric matcher.
+   */
+  expect.objectContaining = function (properties) {
+    if (!isObjectLike(properties)) {
+      throw new Error('objectContaining expects an object parameter.');
+    }
+    const keys = Object.keys(properties);
+    const matcher = function (actual, mismatches, path, state) {
+      if (!isObjectLike(actual)) {
+        return false;
+      }
+      let equal = true;
+      for (let i = 0, l = keys.length; i < l; i++) {
+        const keyPath = appendPath(path, keys[i]);
+        const matched =
+          keys[i] in actual
+            ? deepEqual(
+                actual[keys[i]],
+                properties[keys[i]],
+                mismatches,
+                keyPath,
+                state
+              )
+            : addMismatch(
+                mismatches,
+                keyPath,
+                undefined,
+                properties[keys[i]],
+                'missing key'
+              );
+        if (matched) {
+          continue;
+        }
+        if (!mismatches) {
+          return false;
+        }
+        equal = false;
+      }
+      return equal;
+    };
+    return new AsymmetricMatcher(
+      `ObjectContaining.<${inspect(properties)}>`,
+      matcher
+    );
+  };
+
   /**
    * Adds a matcher.
    *
@@ -1295,6 +5440,23 @@
 
   expect.shape = InternalShapes;
 
+  /**
+   * Adds a custom shape to `expect.shape`.
+   *
+   * @param {string} name - The name of the shape.
+   * @param {module:expectacle.ShapeChecker} checker - The checker of the shape.
+   */
+  expect.addShape = addShape;
+
+  /**
+   * Adds a custom shape that takes arguments to `expect.shape`.
+   *
+   * @param {string} name - The name of the shape.
+   * @param {function} factory - The factory that receives the shape arguments
+   *   and returns a checker, a shape or a shape descriptor.
+   */
+  expect.addShapeFactory = addShapeFactory;
+
   /**
    * Adds multiple matchers
    *
@@ -327,6 +327,185 @@ describe('Expectacle', function () {
       });
     });
 
+    describe('toContain', function () {
+      it('should check whether the value contains an item.', function () {
+        const item = {a: 1};
+        expect('hello').toContain('ell');
+        expect([1, item, NaN]).toContain(item);
+        expect([1, item, NaN]).toContain(NaN);
+        expect([1, item]).not.toContain({a: 1});
+        expect(
+          (function () {
+            return arguments;
+          })(1, 2)
+        ).toContain(2);
+        expect(new Set([1, 2])).toContain(2);
+        expect(new Map([['a', item]])).toContain(item);
+        expect(new Map([['a', 1]])).not.toContain('a');
+        expect(
+          (function* () {
+            yield 1;
+            yield 2;
+          })()
+        ).toContain(2);
+        expect(5).not.toContain(5);
+      });
+
+      it('should show the collection in the error message.', function () {
+        let error = null;
+        try {
+          expect(new Set([1, 2])).toContain(3);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toBe(
+          'ExpectationError: Expected  Set {1,2} to contain 3'
+        );
+        try {
+          expect(
+            (function* () {
+              yield 1;
+              yield 2;
+            })()
+          ).toContain(3);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toBe(
+          'ExpectationError: Expected  [1,2] to contain 3'
+        );
+      });
+
+      it('should stop iterating at the first match.', function () {
+        const naturals = function* () {
+          for (let i = 0; ; i++) {
+            yield i;
+          }
+        };
+        expect(naturals()).toContain(3);
+        expect(naturals()).toContainLike(3);
+        let error = null;
+        try {
+          expect(naturals()).not.toContain(3);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toBe(
+          'ExpectationError: Expected  [0,1,2,3] not to contain 3'
+        );
+      });
+    });
+
+    describe('toContainLike', function () {
+      it('should check whether the value contains a similar item.', function () {
+        expect('hello').toContainLike('ell');
+        expect([1, {a: 1}]).toContainLike({a: 1});
+        expect([1, {a: 1}]).not.toContainLike({a: 2});
+        expect(new Set([[1, 2]])).toContainLike([1, 2]);
+        expect(new Map([['a', {b: [1]}]])).toContainLike({b: [1]});
+        expect([{id: 5, name: 'a'}]).toContainLike({
+          id: expect.any(Number),
+          name: 'a',
+        });
+        return expect.promised(Promise.resolve([{a: 1}])).toContainLike({a: 1});
+      });
+    });
+
+    describe('toBeGreaterThan, toBeLessThan and toBeBetween', function () {
+      it('should compare numbers, BigInts and Dates.', function () {
+        expect(2).toBeGreaterThan(1);
+        expect(1).not.toBeGreaterThan(1);
+        expect(1).toBeGreaterThanOrEqual(1);
+        expect(1).toBeLessThan(2);
+        expect(2).not.toBeLessThanOrEqual(1);
+        expect(NaN).not.toBeGreaterThanOrEqual(0);
+        expect(NaN).not.toBeLessThan(0);
+        expect('2').not.toBeGreaterThan(1);
+        expect(new Date(2000, 1, 1)).toBeLessThan(new Date(2000, 1, 2));
+        expect(new Date(2000, 1, 1)).toBeBetween(
+          new Date(2000, 0, 1),
+          new Date(2001, 0, 1)
+        );
+        expect(new Date(2000, 1, 1)).not.toBeGreaterThan(0);
+        expect(5).toBeBetween(1, 5);
+        expect(6).not.toBeBetween(1, 5);
+        if (typeof BigInt === 'function') {
+          expect(BigInt(2)).toBeGreaterThan(1);
+          expect(1.5).toBeBetween(BigInt(1), BigInt(2));
+        }
+        return expect
+          .promised(Promise.resolve(3))
+          .toBeBetween(1, 5)
+          .and.toBeLessThan(4);
+      });
+
+      it('should fail with the bounds in the error message.', function () {
+        let error = null;
+        try {
+          expect(7).toBeBetween(1, 5);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toBe(
+          'ExpectationError: Expected  7 to be between 1, 5'
+        );
+        let usageError = null;
+        try {
+          expect(1).toBeGreaterThan('0');
+        } catch (e) {
+          usageError = e;
+        }
+        expect(usageError.name).toBe('ExpectationError');
+        expect(usageError.message).toBe(
+          'toBeGreaterThan expects a number, BigInt or Date parameter.'
+        );
+      });
+    });
+
+    describe('toBeCloseTo', function () {
+      it('should compare numbers with a number of digits or an epsilon.', function () {
+        expect(0.1 + 0.2).toBeCloseTo(0.3);
+        expect(0.3).not.toBeCloseTo(0.31);
+        expect(0.3).toBeCloseTo(0.31, 1);
+        expect(1.234).toBeCloseTo(1.2, {epsilon: 0.05});
+        expect(1.234).not.toBeCloseTo(1.2, {epsilon: 0.01});
+        expect(12).toBeCloseTo(10, {epsilon: 2});
+        expect(12).not.toBeCloseTo(10, {epsilon: 1});
+        expect(Infinity).toBeCloseTo(Infinity);
+        expect(NaN).not.toBeCloseTo(NaN);
+        if (typeof BigInt === 'function') {
+          expect(BigInt(10)).toBeCloseTo(10.2, 0);
+        }
+        return expect.promised(Promise.resolve(2.001)).toBeCloseTo(2);
+      });
+
+      it('should compare Dates within a number of milliseconds.', function () {
+        const date = new Date(2000, 0, 1);
+        expect(new Date(date.getTime() + 5)).toBeCloseTo(date, {epsilon: 10});
+        expect(new Date(date.getTime() + 5)).not.toBeCloseTo(date);
+        expect(new Date(date.getTime())).toBeCloseTo(date);
+      });
+
+      it('should throw an ExpectationError for an invalid precision.', function () {
+        const invalid = [
+          [1, 1, 0.5],
+          [1, 1, -1],
+          [1, 1, {epsilon: -1}],
+          [new Date(0), new Date(0), 10],
+        ];
+        invalid.forEach(function (args) {
+          let error = null;
+          try {
+            expect(args[0]).toBeCloseTo(args[1], args[2]);
+          } catch (e) {
+            error = e;
+          }
+          expect(error.name).toBe('ExpectationError');
+          expect(error.message).toMatch(/^toBeCloseTo expects /);
+        });
+      });
+    });
+
     describe('toHaveMember', function () {
       it('should fail if the value is inaccessible.', function (done) {
         try {
@@ -578,6 +757,496 @@ describe('Expectacle', function () {
       });
     });
 
+    describe('toBeLike', function () {
+      it('should deeply compare values.', function () {
+        try {
+          expect({a: [1, {b: 'c'}]}).toBeLike({a: [1, {b: 'c'}]});
+          expect(
+            (function () {
+              return arguments;
+            })(1, 2)
+          ).toBeLike(
+            (function () {
+              return arguments;
+            })(1, 2)
+          );
+          expect({a: 1}).not.toBeLike({a: 2});
+          expect({a: 1}).not.toBeLike({b: 1});
+          expect([1, 2]).not.toBeLike([1, 2, 3]);
+        } catch (e) {
+          throw new Error(`toBeLike failed: ${e.message}`);
+        }
+      });
+
+      it('should report every mismatching path.', function () {
+        let error = null;
+        try {
+          expect({
+            user: {addresses: [{zip: '1'}, {zip: '2'}, {zip: '3'}], x: 1},
+          }).toBeLike({
+            user: {addresses: [{zip: '1'}, {zip: '2'}, {zip: '4'}], y: 1},
+          });
+        } catch (e) {
+          error = e;
+        }
+        if (!error) {
+          throw new Error('toBeLike passed but was expected to fail.');
+        }
+        expect(error.mismatches).toBeLike([
+          {
+            path: 'user.addresses[2].zip',
+            actual: '3',
+            expected: '4',
+            message: 'expected "4", got "3"',
+          },
+          {
+            path: 'user.x',
+            actual: 1,
+            expected: undefined,
+            message: 'unexpected key',
+          },
+          {
+            path: 'user.y',
+            actual: undefined,
+            expected: 1,
+            message: 'missing key',
+          },
+        ]);
+        expect(error.message).toMatch(
+          /\n {2}user\.addresses\[2\]\.zip: expected "4", got "3"\n/
+        );
+      });
+
+      it('should quote keys that are not identifiers in paths.', function () {
+        let error = null;
+        try {
+          expect({'some key': [0]}).toBeLike({'some key': [1]});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.mismatches[0].path).toBe('["some key"][0]');
+      });
+
+      it('should only compare enumerable keys.', function () {
+        const hidden = {};
+        Object.defineProperty(hidden, 'x', {value: 1});
+        expect({}).toBeLike(hidden);
+        let error = null;
+        try {
+          expect({x: 1}).toBeLike(hidden);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.mismatches[0].path).toBe('x');
+        expect(error.mismatches[0].message).toBe('unexpected key');
+        expect(hidden).not.toBeLike({x: 1});
+      });
+
+      it('should attach a unified diff of the expected and actual values.', function () {
+        let error = null;
+        try {
+          expect({a: 1, b: [1, 2]}).toBeLike({a: 1, b: [1, 3]});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.diff).toBe(
+          [
+            '--- expected',
+            '+++ actual',
+            '@@ -2,6 +2,6 @@',
+            '   "a": 1,',
+            '   "b": [',
+            '     1,',
+            '-    3',
+            '+    2',
+            '   ]',
+            ' }',
+          ].join('\n')
+        );
+        expect(error.message.indexOf(error.diff)).not.toBe(-1);
+      });
+
+      it('should compare Map entries deeply.', function () {
+        try {
+          expect(new Map([[1, {a: 1}]])).toBeLike(new Map([[1, {a: 1}]]));
+          expect(new Map([[{k: 1}, 'v']])).toBeLike(new Map([[{k: 1}, 'v']]));
+          expect(new Map([[1, 2]])).not.toBeLike(new Map([[1, 3]]));
+          expect(new Map([[1, 2]])).not.toBeLike(new Map([[2, 2]]));
+          expect(new Map()).not.toBeLike({});
+        } catch (e) {
+          throw new Error(`toBeLike failed: ${e.message}`);
+        }
+      });
+
+      it('should compare Set members regardless of order.', function () {
+        try {
+          expect(new Set([1, 2])).toBeLike(new Set([2, 1]));
+          expect(new Set([{a: 1}, {b: 2}])).toBeLike(new Set([{b: 2}, {a: 1}]));
+          expect(new Set([1])).not.toBeLike(new Set([1, 2]));
+          expect(new Set([{a: 1}])).not.toBeLike(new Set([{a: 2}]));
+          expect(new Set()).not.toBeLike([]);
+        } catch (e) {
+          throw new Error(`toBeLike failed: ${e.message}`);
+        }
+      });
+
+      it('should report Map and Set mismatches.', function () {
+        let error = null;
+        try {
+          expect({m: new Map([['k', [1]]]), s: new Set([1, 2])}).toBeLike({
+            m: new Map([['k', [2]]]),
+            s: new Set([1, 3]),
+          });
+        } catch (e) {
+          error = e;
+        }
+        expect(
+          error.mismatches.map(function (mismatch) {
+            return `${mismatch.path}: ${mismatch.message}`;
+          })
+        ).toBeLike([
+          'm.get("k")[0]: expected 2, got 1',
+          's: unexpected member 2',
+          's: missing member 3',
+        ]);
+        expect(error.message).toMatch(
+          /^ExpectationError: Expected {2}\{"m":Map \{"k" => \[1\]\},"s":Set \{1,2\}\}/
+        );
+      });
+
+      it('should compare typed arrays by element type and contents.', function () {
+        try {
+          expect(new Uint8Array([1, 2])).toBeLike(new Uint8Array([1, 2]));
+          expect(new Float64Array([1.5])).toBeLike(new Float64Array([1.5]));
+          expect(new Uint8Array([1, 2])).not.toBeLike(new Uint8Array([1, 3]));
+          expect(new Uint8Array([1])).not.toBeLike(new Int8Array([1]));
+          expect(new Uint8Array([1])).not.toBeLike([1]);
+        } catch (e) {
+          throw new Error(`toBeLike failed: ${e.message}`);
+        }
+      });
+
+      it('should compare ArrayBuffers and DataViews by bytes.', function () {
+        try {
+          expect(new ArrayBuffer(2)).toBeLike(new ArrayBuffer(2));
+          expect(new ArrayBuffer(2)).not.toBeLike(new ArrayBuffer(3));
+          expect(new Uint8Array([1, 2]).buffer).not.toBeLike(
+            new Uint8Array([1, 3]).buffer
+          );
+          expect(new DataView(new ArrayBuffer(2))).not.toBeLike(
+            new DataView(new Uint8Array([0, 1]).buffer)
+          );
+        } catch (e) {
+          throw new Error(`toBeLike failed: ${e.message}`);
+        }
+      });
+
+      it('should show a hex dump around the first differing byte.', function () {
+        const actual = new Uint16Array([1, 2, 3]);
+        let error = null;
+        try {
+          expect({data: actual}).toBeLike({data: new Uint16Array([1, 2, 4])});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.mismatches[0].path).toBe('data');
+        expect(error.mismatches[0].message).toBe(
+          [
+            'first difference at index 2 (byte offset 4)',
+            '    expected 00000000  01 00 02 00 04 00',
+            '      actual 00000000  01 00 02 00 03 00',
+            '                                   ^^',
+          ].join('\n')
+        );
+      });
+
+      it('should compare values with circular references.', function () {
+        const createTree = function (name) {
+          const root = {name: 'root', children: []};
+          root.children.push({name: name, parent: root, children: []});
+          return root;
+        };
+        const map = new Map();
+        map.set('self', map);
+        const otherMap = new Map();
+        otherMap.set('self', otherMap);
+        try {
+          expect(createTree('a')).toBeLike(createTree('a'));
+          expect(createTree('a')).not.toBeLike(createTree('b'));
+          expect(map).toBeLike(otherMap);
+          expect(map).not.toBeLike(new Map([['self', {}]]));
+        } catch (e) {
+          throw new Error(`toBeLike failed: ${e.message}`);
+        }
+      });
+
+      it('should print circular references with their path.', function () {
+        const actual = {name: 'a', children: [{}]};
+        actual.children[0].parent = actual;
+        actual.children[0].self = actual.children[0];
+        let error = null;
+        try {
+          expect(actual).toBeLike({name: 'b'});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toMatch(
+          /^ExpectationError: Expected {2}\{"children":\[\{"parent":\[Circular ~\],"self":\[Circular ~\.children\[0\]\]\}\],"name":"a"\} to be like/
+        );
+        expect(error.diff).toMatch(/\+ {6}"parent": \[Circular ~\],\n/);
+      });
+
+      it('should print Sets and Maps that reference themselves.', function () {
+        const set = new Set();
+        set.add({set: set});
+        const map = new Map();
+        map.set(map, 1);
+        let error = null;
+        try {
+          expect(set).toBeLike(new Set([1]));
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toMatch(
+          /^ExpectationError: Expected {2}Set \{\{"set":\[Circular ~\]\}\} to be like Set \{1\}/
+        );
+        try {
+          expect(map).toBeLike(new Map([[1, 1]]));
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).toMatch(
+          /^ExpectationError: Expected {2}Map \{\[Circular ~\] => 1\} to be like Map \{1 => 1\}/
+        );
+        expect(error.mismatches[0].path).toBe('get(Map {[Circular ~] => 1})');
+      });
+
+      it('should report mismatches under expect.promised.', function () {
+        return expect
+          .promised(Promise.resolve({a: 1}))
+          .toBeLike({a: 2})
+          .then(
+            function () {
+              throw new Error('Unexpected success');
+            },
+            function (e) {
+              expect(e.mismatches[0].path).toBe('a');
+            }
+          );
+      });
+
+      it('should match asymmetric matchers at any depth.', function () {
+        expect({
+          id: 5,
+          createdAt: new Date(),
+          name: 'bob',
+          tags: ['a', 'b', 'c'],
+          settings: {theme: 'dark', size: 2},
+          items: [{id: 'x1'}],
+        }).toBeLike({
+          id: expect.any(Number),
+          createdAt: expect.any(Date),
+          name: expect.stringMatching(/^b/),
+          tags: expect.arrayContaining(['c', 'a']),
+          settings: expect.objectContaining({theme: 'dark'}),
+          items: [{id: expect.anything()}],
+        });
+        expect(new Map([[1, {a: 1}]])).toBeLike(
+          new Map([[1, {a: expect.any(Number)}]])
+        );
+        expect({a: 'b'}).toStrictlyEqual({a: expect.stringMatching('b')});
+        expect(null).not.toBeLike(expect.anything());
+        expect(1).not.toBeLike(expect.any(Object));
+        expect(['a']).not.toBeLike(expect.arrayContaining(['a', 'b']));
+        expect({a: 1}).not.toBeLike(expect.objectContaining({b: 1}));
+      });
+
+      it('should report asymmetric matcher mismatches.', function () {
+        let error = null;
+        try {
+          expect({
+            id: '5',
+            tags: ['a'],
+            settings: {theme: 'light'},
+            name: 'bob',
+          }).toBeLike({
+            id: expect.any(Number),
+            tags: expect.arrayContaining(['b']),
+            settings: expect.objectContaining({
+              theme: 'dark',
+              size: expect.anything(),
+            }),
+            name: expect.any(String),
+          });
+        } catch (e) {
+          error = e;
+        }
+        expect(
+          error.mismatches.map(function (mismatch) {
+            return `${mismatch.path}: ${mismatch.message}`;
+          })
+        ).toBeLike([
+          'id: expected Any.<Number>, got "5"',
+          'tags: missing member "b"',
+          'settings.theme: expected "dark", got "light"',
+          'settings.size: missing key',
+        ]);
+        expect(error.message).toMatch(
+          /to be like \{"id":Any\.<Number>,"name":Any\.<String>,/
+        );
+        expect(error.diff).toMatch(/^ {3}"name": "bob",$/m);
+        expect(error.diff).toMatch(/^- {2}"id": Any\.<Number>,$/m);
+        try {
+          expect(new Map([['id', 'x']])).toBeLike(
+            new Map([['id', expect.any(Number)]])
+          );
+        } catch (e) {
+          error = e;
+        }
+        expect(error.diff).toMatch(/^- {2}"id" => Any\.<Number>$/m);
+        try {
+          expect(
+            new Map([
+              ['id', 'x'],
+              ['n', 1],
+            ])
+          ).toBeLike(
+            new Map([
+              ['id', expect.any(String)],
+              ['n', 2],
+            ])
+          );
+        } catch (e) {
+          error = e;
+        }
+        expect(error.diff).toMatch(/^ {3}"id" => "x",$/m);
+      });
+    });
+
+    describe('toStrictlyEqual', function () {
+      it('should deeply compare values.', function () {
+        try {
+          expect({a: [1, {b: new Date(0)}]}).toStrictlyEqual({
+            a: [1, {b: new Date(0)}],
+          });
+          expect(new Map([[1, {a: 1}]])).toStrictlyEqual(
+            new Map([[1, {a: 1}]])
+          );
+          expect(NaN).toStrictlyEqual(NaN);
+          expect(new Error('x')).toStrictlyEqual(new Error('x'));
+          expect({a: 1}).not.toStrictlyEqual({a: 2});
+          expect(0).not.toStrictlyEqual(-0);
+        } catch (e) {
+          throw new Error(`toStrictlyEqual failed: ${e.message}`);
+        }
+      });
+
+      it('should compare prototypes.', function () {
+        const Foo = function () {
+          this.a = 1;
+        };
+        let error = null;
+        try {
+          expect(new Foo()).toStrictlyEqual({a: 1});
+        } catch (e) {
+          error = e;
+        }
+        if (!error) {
+          throw new Error('toStrictlyEqual passed but was expected to fail.');
+        }
+        expect(error.mismatches[0].message).toBe(
+          'expected prototype Object, got Foo'
+        );
+        expect(new Foo()).toBeLike({a: 1});
+        expect(Object.create(null)).not.toStrictlyEqual({});
+      });
+
+      it('should compare symbol keys and non-enumerable properties.', function () {
+        const symbol = Symbol('s');
+        const hidden = {};
+        Object.defineProperty(hidden, 'h', {value: 1});
+        try {
+          expect({[symbol]: 1}).toStrictlyEqual({[symbol]: 1});
+          expect({[symbol]: 1}).not.toStrictlyEqual({[symbol]: 2});
+          expect({[symbol]: 1}).not.toStrictlyEqual({});
+          expect(hidden).not.toStrictlyEqual({});
+          expect(hidden).not.toStrictlyEqual({h: 1});
+          expect(hidden).toBeLike({});
+        } catch (e) {
+          throw new Error(`toStrictlyEqual failed: ${e.message}`);
+        }
+      });
+
+      it('should compare typed array elements with Object.is.', function () {
+        expect(new Float64Array([NaN])).toStrictlyEqual(
+          new Float64Array([NaN])
+        );
+        expect(new Float64Array([-0])).not.toStrictlyEqual(
+          new Float64Array([0])
+        );
+        let error = null;
+        try {
+          expect(new Float32Array([1, -0])).toStrictlyEqual(
+            new Float32Array([1, 0])
+          );
+        } catch (e) {
+          error = e;
+        }
+        expect(error.mismatches[0].message).toMatch(
+          /^first difference at index 1 \(byte offset 4\)\n/
+        );
+      });
+
+      it('should compare objects without a prototype.', function () {
+        const a = Object.create(null);
+        const b = Object.create(null);
+        a.x = 1;
+        b.x = 1;
+        a[Symbol.for('s')] = 1;
+        b[Symbol.for('s')] = 1;
+        expect(a).toStrictlyEqual(b);
+        expect(Object.create(a)).not.toStrictlyEqual({x: 1});
+        let error = null;
+        try {
+          expect(a).toStrictlyEqual({x: 1});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.mismatches[0].message).toBe(
+          'expected prototype Object, got null'
+        );
+      });
+
+      it('should distinguish undefined properties and holes from missing ones.', function () {
+        let error = null;
+        try {
+          // eslint-disable-next-line no-sparse-arrays
+          expect({a: undefined, b: [, 1]}).toStrictlyEqual({b: [undefined, 1]});
+        } catch (e) {
+          error = e;
+        }
+        expect(
+          error.mismatches.map(function (mismatch) {
+            return `${mismatch.path}: ${mismatch.message}`;
+          })
+        ).toBeLike(['a: unexpected key', 'b[0]: missing key']);
+      });
+
+      it('should report asymmetric matchers that only match loosely in the diff.', function () {
+        let error = null;
+        try {
+          expect({a: [0], b: 1}).toStrictlyEqual({
+            a: expect.arrayContaining([-0]),
+            b: 1,
+          });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.mismatches[0].message).toBe('missing member -0');
+        expect(error.diff).toMatch(/^- {2}"a": ArrayContaining\.<\[-0\]>,$/m);
+      });
+    });
+
     describe('toHaveShape', function () {
       it('should known basic shapes', function (done) {
         try {
@@ -712,18 +1381,1182 @@ describe('Expectacle', function () {
           done(e);
         }
       });
-    });
-  });
-
-  describe('expect.promised', function () {
-    it('should check a promised value', function () {
-      return expect.promised(Promise.resolve(false)).toBeFalse();
-    });
+      it('should report the path and reason of every violation.', function () {
+        let error = null;
+        try {
+          expect({
+            items: [{price: 1}, {price: 2}, {price: '12'}],
+            name: null,
+          }).toHaveShape({
+            items: expect.shape.Array({price: expect.shape.Number()}),
+            name: expect.shape.String(),
+            tags: [expect.shape.String()],
+          });
+        } catch (e) {
+          error = e;
+        }
+        if (!error) {
+          throw new Error('toHaveShape passed but was expected to fail.');
+        }
+        expect(
+          error.violations.map(function (violation) {
+            return `${violation.path}: ${violation.message}`;
+          })
+        ).toBeLike([
+          'items[2].price: expected Number, got string "12"',
+          'name: expected String, got null',
+          'tags: expected Array.[String], got undefined',
+        ]);
+        expect(error.violations[0].actual).toBe('12');
+        expect(error.violations[0].expected.name).toBe('Number');
+        expect(error.message).toMatch(
+          /\n\nViolations:\n {2}items\[2\]\.price: expected Number, got string "12"\n/
+        );
+        expect(error.message).toMatch(
+          /^ExpectationError: Expected {2}\{.*\} to have shape \n\nViolations:/
+        );
+        expect(error.expected).toBe(expect.NULL_VALUE);
+      });
 
-    it('should cache throwed items', function () {
-      // eslint-disable-next-line prefer-promise-reject-errors
-      return expect.promised(Promise.reject(false)).toBeFalse();
-    });
+      it('should support Optional, Nullable and Maybe modifiers.', function () {
+        /* eslint-disable new-cap */
+        const shape = expect.shape.Object({
+          email: expect.shape.Optional(expect.shape.String()),
+          name: expect.shape.Nullable(expect.shape.String()),
+          nick: expect.shape.Maybe(expect.shape.String()),
+        });
+        /* eslint-enable new-cap */
+        expect(shape.name).toBe(
+          'Object.{email?:String, name:Nullable.<String>, nick?:Nullable.<String>}'
+        );
+        try {
+          expect({name: null}).toHaveShape(shape);
+          expect({name: 'a', email: 'b', nick: null}).toHaveShape(shape);
+          expect({name: 'a', nick: undefined}).toHaveShape(shape);
+          expect({name: 'a', email: undefined}).not.toHaveShape(shape);
+          expect({email: 'b'}).not.toHaveShape(shape);
+          expect({name: 'a', nick: 1}).not.toHaveShape(shape);
+          expect([1]).toHaveShape([
+            expect.shape.Number(),
+            // eslint-disable-next-line new-cap
+            expect.shape.Optional(expect.shape.String()),
+          ]);
+        } catch (e) {
+          throw new Error(`toHaveShape failed: ${e.message}`);
+        }
+      });
+
+      it('should report the modifier when a value fails it as a whole.', function () {
+        let error = null;
+        try {
+          expect({name: 1, nick: {first: 1}}).toHaveShape({
+            // eslint-disable-next-line new-cap
+            name: expect.shape.Nullable(expect.shape.String()),
+            // eslint-disable-next-line new-cap
+            nick: expect.shape.Maybe({first: expect.shape.String()}),
+          });
+        } catch (e) {
+          error = e;
+        }
+        expect(
+          error.violations.map(function (violation) {
+            return `${violation.path}: ${violation.message}`;
+          })
+        ).toBeLike([
+          'name: expected Nullable.<String>, got number 1',
+          'nick.first: expected String, got number 1',
+        ]);
+      });
+
+      it('should support OneOf shapes and report the closest alternative.', function () {
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.OneOf([
+          expect.shape.Number(),
+          {id: expect.shape.Number(), name: expect.shape.String()},
+        ]);
+        expect(shape.name).toBe(
+          'OneOf.<Number | Object.{id:Number, name:String}>'
+        );
+        expect(1).toHaveShape(shape);
+        expect({id: 1, name: 'a'}).toHaveShape(shape);
+        expect('a').not.toHaveShape(shape);
+        let error = null;
+        try {
+          expect({id: 1, name: 2}).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(
+          error.violations.map(function (violation) {
+            return `${violation.path}: ${violation.message}`;
+          })
+        ).toBeLike([
+          ': expected OneOf.<Number | Object.{id:Number, name:String}>; closest alternative Object.{id:Number, name:String} failed',
+          'name: expected String, got number 2',
+        ]);
+      });
+
+      it('should support AllOf shapes.', function () {
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.AllOf([
+          {id: expect.shape.Number()},
+          {name: expect.shape.String()},
+        ]);
+        expect(shape.name).toBe(
+          'AllOf.<Object.{id:Number} & Object.{name:String}>'
+        );
+        expect({id: 1, name: 'a'}).toHaveShape(shape);
+        expect({id: 1}).not.toHaveShape(shape);
+      });
+
+      it('should support Discriminated shapes.', function () {
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.Discriminated('type', {
+          circle: {radius: expect.shape.Number()},
+          square: {side: expect.shape.Number()},
+        });
+        expect({type: 'circle', radius: 1}).toHaveShape(shape);
+        expect({type: 'square', side: 1}).toHaveShape(shape);
+        expect({type: 'square', radius: 1}).not.toHaveShape(shape);
+        let error = null;
+        try {
+          expect({items: [{type: 'triangle'}]}).toHaveShape({
+            items: expect.shape.Array(shape),
+          });
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations[0].path).toBe('items[0].type');
+        expect(error.violations[0].message).toBe(
+          'expected one of "circle", "square", got string "triangle"'
+        );
+      });
+
+      it('should reject unknown keys with ExactObject shapes.', function () {
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.ExactObject({
+          id: expect.shape.Number(),
+          // eslint-disable-next-line new-cap
+          email: expect.shape.Optional(expect.shape.String()),
+        });
+        expect(shape.name).toBe('ExactObject.{id:Number, email?:String}');
+        expect({id: 1}).toHaveShape(shape);
+        expect({id: 1, email: 'a'}).toHaveShape(shape);
+        let error = null;
+        try {
+          expect({id: 1, passwordHash: 'x'}).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(1);
+        expect(error.violations[0].path).toBe('passwordHash');
+        expect(error.violations[0].message).toBe('unexpected key');
+        expect(error.message).toMatch(/\n {2}passwordHash: unexpected key/);
+      });
+
+      it('should check keys and values with Record shapes.', function () {
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.Record(/^u\d+$/, {
+          name: expect.shape.String(),
+        });
+        expect(shape.name).toBe('Record.</^u\\d+$/, Object.{name:String}>');
+        expect({}).toHaveShape(shape);
+        expect({u1: {name: 'a'}, u2: {name: 'b'}}).toHaveShape(shape);
+        let error = null;
+        try {
+          expect({u1: {name: 1}, bob: {name: 'b'}}).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(2);
+        expect(error.violations[0].path).toBe('u1.name');
+        expect(error.violations[1].path).toBe('bob');
+        expect(error.violations[1].message).toBe(
+          'invalid key: expected /^u\\d+$/, got string "bob"'
+        );
+      });
+
+      it('should check keys and values with MapOf shapes.', function () {
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.MapOf(expect.shape.Number(), {
+          name: expect.shape.String(),
+        });
+        expect(shape.name).toBe('MapOf.<Number, Object.{name:String}>');
+        expect(new Map([[1, {name: 'a'}]])).toHaveShape(shape);
+        expect({}).not.toHaveShape(shape);
+        let error = null;
+        try {
+          expect(
+            new Map([
+              ['1', {name: 'a'}],
+              [2, {name: 2}],
+            ])
+          ).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(2);
+        expect(error.violations[0].path).toBe('get("1")');
+        expect(error.violations[0].message).toBe(
+          'invalid key: expected Number, got string "1"'
+        );
+        expect(error.violations[1].path).toBe('get(2).name');
+      });
+
+      it('should check refined Number and String shapes.', function () {
+        const base = expect.shape.Number();
+        const shape = base.integer().min(0).max(100);
+        expect(base.name).toBe('Number');
+        expect(shape.name).toBe('Number.integer().min(0).max(100)');
+        expect(50).toHaveShape(shape);
+        expect(50.5).not.toHaveShape(shape);
+        expect(-1).not.toHaveShape(shape);
+        expect(101).not.toHaveShape(shape);
+        expect('50').not.toHaveShape(shape);
+        const slug = expect.shape
+          .String()
+          .minLength(1)
+          .pattern(/^[a-z]+$/);
+        expect(slug.name).toBe('String.minLength(1).pattern(/^[a-z]+$/)');
+        expect('abc').toHaveShape(slug);
+        expect('').not.toHaveShape(slug);
+        expect('Abc').not.toHaveShape(slug);
+        expect('abc').not.toHaveShape(expect.shape.String().maxLength(2));
+        let error = null;
+        try {
+          expect({age: 12.5}).toHaveShape({age: shape});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(1);
+        expect(error.violations[0].path).toBe('age');
+        expect(error.violations[0].message).toBe(
+          'expected Number.integer().min(0).max(100), got number 12.5, ' +
+            'which fails integer()'
+        );
+      });
+
+      it('should reject invalid refinement parameters.', function () {
+        expect(function () {
+          expect.shape.Number().min();
+        }).toThrow(TypeError);
+        expect(function () {
+          expect.shape.Number().max(NaN);
+        }).toThrow('max expects a number parameter.');
+        expect(function () {
+          expect.shape.String().minLength('2');
+        }).toThrow('minLength expects a non-negative integer parameter.');
+        expect(function () {
+          expect.shape.String().maxLength(-1);
+        }).toThrow(TypeError);
+        expect(function () {
+          expect.shape.Array().minItems(1.5);
+        }).toThrow('minItems expects a non-negative integer parameter.');
+        expect(function () {
+          expect.shape.Array().maxItems(null);
+        }).toThrow(TypeError);
+        expect(function () {
+          expect.shape.String().pattern('^a');
+        }).toThrow(TypeError);
+      });
+
+      it('should check refined Array shapes.', function () {
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape
+          .Array(expect.shape.Number())
+          .minItems(1)
+          .unique();
+        expect(shape.name).toBe('Array.<Number>.minItems(1).unique()');
+        expect([1, 2]).toHaveShape(shape);
+        expect([]).not.toHaveShape(shape);
+        expect([1, 1]).not.toHaveShape(shape);
+        // eslint-disable-next-line new-cap
+        expect([{a: 1}, {a: 1}]).not.toHaveShape(expect.shape.Array().unique());
+        // eslint-disable-next-line new-cap
+        expect([1, 2, 3]).not.toHaveShape(expect.shape.Array().maxItems(2));
+        let error = null;
+        try {
+          expect([1, 'a']).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations[0].path).toBe('[1]');
+        try {
+          expect([1, 1]).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations[0].message).toBe(
+          'expected Array.<Number>.minItems(1).unique(), got array, ' +
+            'which fails unique()'
+        );
+      });
+
+      it('should check custom shapes.', function () {
+        expect.addShape('IsoDate', function (value) {
+          return typeof value === 'string' && !isNaN(Date.parse(value));
+        });
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.IsoDate();
+        expect(shape.name).toBe('IsoDate');
+        expect('2020-01-01').toHaveShape(shape);
+        expect({dates: ['2020-01-01']}).toHaveShape({
+          // eslint-disable-next-line new-cap
+          dates: expect.shape.Array(shape),
+        });
+        // eslint-disable-next-line new-cap
+        expect([1, '2020-01-01']).toHaveShape([expect.shape.Number(), shape]);
+        let error = null;
+        try {
+          expect({createdAt: 'yesterday'}).toHaveShape({createdAt: shape});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations[0].path).toBe('createdAt');
+        expect(error.violations[0].message).toBe(
+          'expected IsoDate, got string "yesterday"'
+        );
+      });
+
+      it('should check custom shapes created by a factory.', function () {
+        expect.addShapeFactory('Money', function (currency) {
+          return {
+            amount: expect.shape.Number().integer(),
+            currency: currency || 'USD',
+          };
+        });
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.Money('EUR');
+        expect(shape.name).toBe('Money("EUR")');
+        expect({amount: 100, currency: 'EUR'}).toHaveShape(shape);
+        let error = null;
+        try {
+          expect([{amount: 1.5, currency: 'EUR'}, 5]).toHaveShape(
+            // eslint-disable-next-line new-cap
+            expect.shape.Array(shape)
+          );
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(2);
+        expect(error.violations[0].path).toBe('[0].amount');
+        expect(error.violations[1].path).toBe('[1]');
+        expect(error.violations[1].message).toBe(
+          'expected Money("EUR"), got number 5'
+        );
+        // eslint-disable-next-line new-cap
+        const defaultShape = expect.shape.Money();
+        expect(defaultShape.name).toBe('Money');
+        expect({amount: 100, currency: 'USD'}).toHaveShape(defaultShape);
+        expect(function () {
+          expect('not money at all').toHaveShape(defaultShape);
+        }).toThrow(/expected Money, got string "not money at all"/);
+      });
+
+      it('should not replace existing shapes.', function () {
+        expect(function () {
+          expect.addShape('Object', function () {
+            return true;
+          });
+        }).toThrow('The shape name "Object" is already used.');
+        expect(function () {
+          expect.addShapeFactory('toJSONSchema', function () {
+            return {};
+          });
+        }).toThrow('The shape name "toJSONSchema" is already used.');
+      });
+
+      it('should check modern built-in types.', function () {
+        const shape = {
+          // eslint-disable-next-line new-cap
+          map: expect.shape.Map(),
+          // eslint-disable-next-line new-cap
+          set: expect.shape.Set(),
+          // eslint-disable-next-line new-cap
+          promise: expect.shape.Promise(),
+          // eslint-disable-next-line new-cap
+          error: expect.shape.Error(),
+          // eslint-disable-next-line new-cap
+          symbol: expect.shape.Symbol(),
+          // eslint-disable-next-line new-cap
+          bytes: expect.shape.Uint8Array(),
+          // eslint-disable-next-line new-cap
+          buffer: expect.shape.ArrayBuffer(),
+        };
+        expect({
+          map: new Map(),
+          set: new Set(),
+          promise: Promise.resolve(),
+          error: new TypeError('Type error'),
+          symbol: Symbol('symbol'),
+          bytes: new Uint8Array(2),
+          buffer: new ArrayBuffer(2),
+        }).toHaveShape(shape);
+        let error = null;
+        try {
+          expect({
+            map: {},
+            set: [],
+            promise: {then: function () {}},
+            error: {message: 'Error'},
+            symbol: 'symbol',
+            bytes: new Uint16Array(2),
+            buffer: new Uint8Array(2),
+          }).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(7);
+        expect(error.violations[5].message).toBe(
+          'expected Uint8Array, got uint16array'
+        );
+        if (typeof BigInt === 'function') {
+          expect(BigInt(1)).toHaveShape(expect.shape.BigInt());
+          // eslint-disable-next-line new-cap
+          expect(1).not.toHaveShape(expect.shape.BigInt());
+        }
+      });
+
+      it('should check instances with InstanceOf shapes.', function () {
+        const Point = function (x, y) {
+          this.x = x;
+          this.y = y;
+        };
+        // eslint-disable-next-line new-cap
+        const shape = expect.shape.InstanceOf(Point, {
+          x: expect.shape.Number(),
+          y: expect.shape.Number(),
+        });
+        expect(shape.name).toBe('InstanceOf.<Point>.{x:Number, y:Number}');
+        expect(new Point(1, 2)).toHaveShape(shape);
+        expect({x: 1, y: 2}).not.toHaveShape(shape);
+        // eslint-disable-next-line new-cap
+        expect(new Point(1, 2)).toHaveShape(expect.shape.InstanceOf(Point));
+        expect(new RangeError('Out of range')).toHaveShape(
+          // eslint-disable-next-line new-cap
+          expect.shape.InstanceOf(Error, {message: expect.shape.String()})
+        );
+        let error = null;
+        try {
+          expect(new Point(1, '2')).toHaveShape(shape);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(1);
+        expect(error.violations[0].path).toBe('y');
+        expect(function () {
+          // eslint-disable-next-line new-cap
+          expect.shape.InstanceOf('Point');
+        }).toThrow('InstanceOf expects a constructor parameter.');
+      });
+
+      it('should check recursive shapes with Lazy shapes.', function () {
+        const category = expect.shape.Object({
+          name: expect.shape.String(),
+          // eslint-disable-next-line new-cap
+          children: expect.shape.Array(
+            // eslint-disable-next-line new-cap
+            expect.shape.Lazy(function () {
+              return category;
+            }, 'Category')
+          ),
+        });
+        expect(category.name).toBe(
+          'Object.{name:String, children:Array.<Category>}'
+        );
+        expect({
+          name: 'root',
+          children: [{name: 'leaf', children: []}],
+        }).toHaveShape(category);
+        const node = {name: 'node', children: []};
+        node.children.push(node);
+        expect(node).toHaveShape(category);
+        let error = null;
+        try {
+          expect({
+            name: 'root',
+            children: [{name: 'node', children: [{name: 1, children: []}]}],
+          }).toHaveShape(category);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.violations.length).toBe(1);
+        expect(error.violations[0].path).toBe('children[0].children[0].name');
+      });
+
+      it('should check mutually recursive Lazy shapes.', function () {
+        const person = expect.shape.Object({
+          name: expect.shape.String(),
+          // eslint-disable-next-line new-cap
+          employer: expect.shape.Maybe(
+            // eslint-disable-next-line new-cap
+            expect.shape.Lazy(function () {
+              // eslint-disable-next-line no-use-before-define
+              return company;
+            })
+          ),
+        });
+        const company = expect.shape.Object({
+          // eslint-disable-next-line new-cap
+          employees: expect.shape.Array(person),
+        });
+        expect(person.name).toBe(
+          'Object.{name:String, employer?:Nullable.<Lazy>}'
+        );
+        expect({
+          name: 'Ann',
+          employer: {employees: [{name: 'Bob', employer: null}]},
+        }).toHaveShape(person);
+        expect({
+          name: 'Ann',
+          employer: {employees: [{name: 'Bob', employer: 1}]},
+        }).not.toHaveShape(person);
+      });
+
+      it('should convert shapes to JSON Schema.', function () {
+        const shape = expect.shape.Object({
+          id: expect.shape.Number().integer().min(1),
+          // eslint-disable-next-line new-cap
+          email: expect.shape.Optional(expect.shape.String().pattern(/@/)),
+          // eslint-disable-next-line new-cap
+          tags: expect.shape.Array(expect.shape.String()).unique(),
+          // eslint-disable-next-line new-cap
+          position: [expect.shape.Number(), expect.shape.Number()],
+          // eslint-disable-next-line new-cap
+          role: expect.shape.OneOf(['admin', 'user']),
+          // eslint-disable-next-line new-cap
+          manager: expect.shape.Nullable(expect.shape.Boolean()),
+        });
+        expect(expect.shape.toJSONSchema(shape)).toStrictlyEqual({
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          properties: {
+            id: {type: 'integer', minimum: 1},
+            email: {type: 'string', pattern: '@'},
+            tags: {type: 'array', items: {type: 'string'}, uniqueItems: true},
+            position: {
+              type: 'array',
+              prefixItems: [{type: 'number'}, {type: 'number'}],
+              minItems: 2,
+            },
+            role: {anyOf: [{const: 'admin'}, {const: 'user'}]},
+            manager: {anyOf: [{type: 'boolean'}, {type: 'null'}]},
+          },
+          required: ['id', 'tags', 'position', 'role', 'manager'],
+        });
+        expect(function () {
+          // eslint-disable-next-line new-cap
+          expect.shape.toJSONSchema({date: expect.shape.Date()});
+        }).toThrow('The Date shape cannot be converted to JSON Schema.');
+      });
+
+      it('should convert recursive shapes to JSON Schema.', function () {
+        const category = expect.shape.Object({
+          name: expect.shape.String(),
+          // eslint-disable-next-line new-cap
+          children: expect.shape.Array(
+            // eslint-disable-next-line new-cap
+            expect.shape.Lazy(function () {
+              return category;
+            }, 'Category')
+          ),
+        });
+        const schema = expect.shape.toJSONSchema(
+          // eslint-disable-next-line new-cap
+          expect.shape.Lazy(function () {
+            return category;
+          }, 'Category')
+        );
+        expect(schema.$ref).toBe('#/$defs/Category');
+        expect(schema.$defs.Category.properties.children).toStrictlyEqual({
+          type: 'array',
+          items: {$ref: '#/$defs/Category'},
+        });
+        const shape = expect.shape.fromJSONSchema(schema);
+        expect({
+          name: 'root',
+          children: [{name: 'leaf', children: []}],
+        }).toHaveShape(shape);
+        expect({
+          name: 'root',
+          children: [{name: 1, children: []}],
+        }).not.toHaveShape(shape);
+      });
+
+      it('should create shapes from JSON Schema.', function () {
+        const shape = expect.shape.fromJSONSchema({
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          title: 'User',
+          type: 'object',
+          properties: {
+            id: {type: 'integer', minimum: 1},
+            name: {type: 'string', minLength: 1},
+            email: {type: ['string', 'null']},
+            tags: {type: 'array', items: {enum: ['a', 'b']}, maxItems: 2},
+          },
+          required: ['id', 'name'],
+          additionalProperties: false,
+        });
+        expect(shape.name).toBe(
+          'ExactObject.{id:Number.integer().min(1), ' +
+            'name:String.minLength(1), email?:OneOf.<String | Null>, ' +
+            'tags?:Array.<OneOf.<Literal.<"a"> | Literal.<"b">>>.maxItems(2)}'
+        );
+        expect({id: 1, name: 'Ann', email: null, tags: ['a']}).toHaveShape(
+          shape
+        );
+        let error = null;
+        try {
+          expect({id: 0, name: 'Ann', tags: ['c'], extra: true}).toHaveShape(
+            shape
+          );
+        } catch (e) {
+          error = e;
+        }
+        expect(
+          error.violations.map(function (violation) {
+            return violation.path;
+          })
+        ).toBeLike(['extra', 'id', 'tags[0]']);
+        expect(function () {
+          expect.shape.fromJSONSchema({type: 'number', multipleOf: 2});
+        }).toThrow('Unsupported JSON Schema keyword "multipleOf".');
+      });
+
+      it('should match exactly one schema of oneOf.', function () {
+        const schema = {
+          oneOf: [
+            {type: 'integer', minimum: 0},
+            {type: 'integer', maximum: 10},
+          ],
+        };
+        const shape = expect.shape.fromJSONSchema(schema);
+        expect(shape.name).toBe(
+          'ExactlyOneOf.<Number.integer().min(0) | Number.integer().max(10)>'
+        );
+        expect(20).toHaveShape(shape);
+        expect(-5).toHaveShape(shape);
+        expect(5).not.toHaveShape(shape);
+        expect(1.5).not.toHaveShape(shape);
+        expect(expect.shape.toJSONSchema(shape).oneOf).toBeLike(schema.oneOf);
+      });
+    });
+  });
+
+  describe('expect.promised', function () {
+    /**
+     * Checks that a promised expectation fails with a message.
+     *
+     * @param promise - The promised expectation.
+     * @param message - The expected error message, or a regular expression that
+     *   matches it.
+     * @returns A promise that resolves when the expectation has failed.
+     */
+    function expectFailure(promise, message) {
+      return promise.then(
+        function () {
+          throw new Error('Expected the expectation to fail.');
+        },
+        function (e) {
+          expect(e.name).toBe('ExpectationError');
+          if (message instanceof RegExp) {
+            expect(e.message).toMatch(message);
+          } else {
+            expect(e.message).toBe(message);
+          }
+        }
+      );
+    }
+
+    it('should check a promised value', function () {
+      return expect.promised(Promise.resolve(false)).toBeFalse();
+    });
+
+    it('should cache throwed items', function () {
+      // eslint-disable-next-line prefer-promise-reject-errors
+      return expect.promised(Promise.reject(false)).rejects.toBeFalse();
+    });
+
+    it('should fail if the promise does not settle as expected', function () {
+      return Promise.all([
+        expectFailure(
+          // eslint-disable-next-line prefer-promise-reject-errors
+          expect.promised(Promise.reject(5)).toBe(5),
+          'Expected promise to resolve, but it rejected with 5'
+        ),
+        expectFailure(
+          // eslint-disable-next-line prefer-promise-reject-errors
+          expect.promised(Promise.reject(5)).not.toBe(4),
+          'Expected promise to resolve, but it rejected with 5'
+        ),
+        expectFailure(
+          expect.promised(Promise.resolve(5), 'count').rejects.toBe(5),
+          'Expected count promise to reject, but it resolved with 5'
+        ),
+        expectFailure(
+          expect.promised(Promise.resolve(5)).toBe(4).and.toBe(5),
+          'ExpectationError: Expected  5 to be 4'
+        ),
+        expect.promised(Promise.resolve(5)).resolves.toBe(5),
+        expect
+          .promised(Promise.reject(new TypeError('bad')))
+          .rejects.toBeAnInstanceOf(TypeError)
+          .and.toHaveProperty('message'),
+      ]);
+    });
+
+    it('should reverse the matchers after resolves and rejects', function () {
+      return Promise.all([
+        expect.promised(Promise.resolve(5)).not.resolves.toBe(4),
+        // eslint-disable-next-line prefer-promise-reject-errors
+        expect.promised(Promise.reject(5)).not.rejects.toBe(4),
+        expectFailure(
+          expect.promised(Promise.resolve(5)).not.resolves.toBe(5),
+          'ExpectationError: Expected  5 not to be 5'
+        ),
+        expectFailure(
+          expect.promised(Promise.resolve(5), 'count').not.rejects.toBe(4),
+          'Expected count promise to reject, but it resolved with 5'
+        ),
+      ]);
+    });
+
+    it('should check how the promise settles with toResolve and toReject', function () {
+      return Promise.all([
+        expect
+          .promised(Promise.resolve(1))
+          .toResolve()
+          .then(function (value) {
+            expect(value).toBe(1);
+          }),
+        expect.promised(Promise.reject(new TypeError('bad'))).toReject(),
+        expect.promised(Promise.reject(new TypeError('bad'))).toReject('bad'),
+        expect.promised(Promise.reject(new TypeError('bad'))).toReject(/ba/),
+        expect
+          .promised(Promise.reject(new TypeError('bad')))
+          .toReject(TypeError)
+          .and.toHaveProperty('message'),
+        expect.promised(Promise.reject(new Error('bad'))).not.toResolve(),
+        expect.promised(Promise.resolve(1)).not.toReject(),
+        expect.promised(Promise.reject(new Error('bad'))).not.toReject('good'),
+        expectFailure(
+          expect.promised(Promise.resolve(1), 'user').toReject(),
+          'Expected user promise to reject, but it resolved with 1'
+        ),
+        expectFailure(
+          expect.promised(Promise.reject(new Error('bad'))).toResolve(),
+          'Expected promise to resolve, but it rejected with Error: bad'
+        ),
+        expectFailure(
+          expect
+            .promised(Promise.reject(new RangeError('x')))
+            .toReject(TypeError),
+          'Expected promise to reject with "TypeError", but it rejected with RangeError: x'
+        ),
+        expectFailure(
+          expect.promised(Promise.reject(new Error('x'))).toReject('y'),
+          'Expected promise to reject with an error with a message that match the expected string'
+        ),
+        expectFailure(
+          expect.promised(Promise.reject(new Error('x'))).not.toReject('x'),
+          'Expected promise not to reject with "x", but it rejected with Error: x'
+        ),
+      ]);
+    });
+
+    it('should fail if the promise does not settle in time', function () {
+      const pending = new Promise(function () {});
+      const message =
+        /^Expected request promise to settle within 10ms, but it was still pending after \d+ms$/;
+      let defaulted = null;
+      expect.promised.timeout = 10;
+      try {
+        defaulted = expect.promised(pending, 'request').toResolve();
+      } finally {
+        expect.promised.timeout = 0;
+      }
+      return Promise.all([
+        expectFailure(
+          expect.promised(pending, 'request').within(10).toBe(1),
+          message
+        ),
+        expectFailure(
+          expect.promised(pending, 'request').within(10).rejects.toBeTruthy(),
+          message
+        ),
+        expectFailure(
+          expect.promised(pending, 'request').within(10).toReject(),
+          message
+        ),
+        expectFailure(defaulted, message),
+        expect.promised(Promise.resolve(1)).within(50).toBe(1),
+        expect
+          .promised(pending, 'request')
+          .within(10)
+          .catch(function (e) {
+            expect(e.expected).toBe(10);
+            // Date.now() may measure a timer as firing a millisecond early.
+            expect(e.actual).toBeGreaterThanOrEqual(9);
+          }),
+        expectFailure(
+          expect.promised(pending, 'request').not.within(10).toBe(1),
+          message
+        ),
+        expect.promised(Promise.resolve(1)).not.within(50).toBe(2),
+      ]);
+    });
+
+    it('should throw an ExpectationError for an invalid time limit', function () {
+      let error = null;
+      try {
+        expect.promised(Promise.resolve(1)).within(-1);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.name).toBe('ExpectationError');
+      expect(error.message).toBe(
+        'Expected a non-negative number of milliseconds.'
+      );
+    });
+
+    it('should check whether the promise settles in time with toSettleWithin', function () {
+      const pending = new Promise(function () {});
+      return Promise.all([
+        expect
+          .promised(Promise.resolve(1))
+          .toSettleWithin(50)
+          .then(function (value) {
+            expect(value).toBe(1);
+          }),
+        expect.promised(Promise.reject(new Error('x'))).toSettleWithin(50),
+        expect.promised(pending).not.toSettleWithin(10),
+        expectFailure(
+          expect.promised(pending).toSettleWithin(10),
+          /^Expected promise to settle within 10ms, but it was still pending after \d+ms$/
+        ),
+        expectFailure(
+          expect.promised(Promise.resolve(1)).not.toSettleWithin(50),
+          'Expected promise not to settle within 50ms, but it resolved with 1'
+        ),
+      ]);
+    });
+  });
+
+  describe('expect.eventually', function () {
+    it('should poll the value until the matcher passes', function () {
+      let count = 0;
+      let pending = 3;
+      let steps = 0;
+      expect.addMatcher('toBeDone', function (actual) {
+        return actual === 'done';
+      });
+      return Promise.all([
+        expect
+          .eventually(
+            function () {
+              count++;
+              return count;
+            },
+            {interval: 1}
+          )
+          .toBeGreaterThan(3)
+          .and.toBe(4),
+        expect
+          .eventually(
+            function () {
+              pending--;
+              return Promise.resolve(pending);
+            },
+            {interval: 1}
+          )
+          .not.toBeGreaterThan(0),
+        expect
+          .eventually(
+            function () {
+              steps++;
+              return steps > 2 ? 'done' : 'running';
+            },
+            {interval: 1}
+          )
+          .toBeDone(),
+      ]);
+    });
+
+    it('should fail with the last error once the timeout is reached', function () {
+      return expect
+        .eventually(
+          function () {
+            return 1;
+          },
+          {timeout: 20, interval: 5},
+          'counter'
+        )
+        .toBe(2)
+        .then(
+          function () {
+            throw new Error('Expected the expectation to fail.');
+          },
+          function (e) {
+            expect(e.name).toBe('ExpectationError');
+            expect(e.attempts).toBeGreaterThan(1);
+            expect(e.duration).toBeGreaterThanOrEqual(20);
+            expect(e.message).toMatch(
+              /^ExpectationError: Expected counter 1 to be 2\n\nStill failing after \d+ attempts in \d+ms$/
+            );
+          }
+        );
+    });
+
+    it('should not wait for a hanging getter past the timeout', function () {
+      const start = Date.now();
+      return expect
+        .eventually(
+          function () {
+            return new Promise(function () {});
+          },
+          {timeout: 30},
+          'status'
+        )
+        .toBe('ready')
+        .then(
+          function () {
+            throw new Error('Expected the expectation to fail.');
+          },
+          function (e) {
+            expect(Date.now() - start).toBeLessThan(150);
+            expect(e.name).toBe('ExpectationError');
+            expect(e.attempts).toBe(1);
+            expect(e.message).toMatch(
+              /^Expected status promise to settle within 30ms, but it was still pending after \d+ms\n\nStill failing after 1 attempt in \d+ms$/
+            );
+          }
+        );
+    });
+
+    it('should not overshoot the timeout with a slow getter', function () {
+      const start = Date.now();
+      let attempts = 0;
+      return expect
+        .eventually(
+          function () {
+            attempts++;
+            if (attempts === 1) {
+              return 'starting';
+            }
+            return new Promise(function (resolve) {
+              setTimeout(resolve, 200, 'ready');
+            });
+          },
+          {timeout: 30, interval: 5}
+        )
+        .toBe('ready')
+        .then(
+          function () {
+            throw new Error('Expected the expectation to fail.');
+          },
+          function (e) {
+            expect(Date.now() - start).toBeLessThan(150);
+            expect(e.attempts).toBe(2);
+            expect(e.message).toMatch(
+              /^ExpectationError: Expected {2}"starting" to be "ready"\n\nStill failing after 2 attempts in \d+ms$/
+            );
+          }
+        );
+    });
+
+    it('should not retry other errors', function () {
+      let attempts = 0;
+      return expect
+        .eventually(function () {
+          attempts++;
+          throw new TypeError('broken');
+        })
+        .toBe(1)
+        .then(
+          function () {
+            throw new Error('Expected the expectation to fail.');
+          },
+          function (e) {
+            expect(e).toBeAnInstanceOf(TypeError);
+            expect(attempts).toBe(1);
+          }
+        );
+    });
+  });
+
+  describe('expect.soft', function () {
+    it('should collect every failure and throw them together', function () {
+      let error = null;
+      let reached = false;
+      try {
+        expect.soft(function () {
+          expect('a', 'name').toBe('b');
+          expect(1).toBe(1);
+          expect(2, 'age').toBe(3).and.toBe(4);
+          expect.soft(function () {
+            expect(null).toBeTrue();
+          });
+          reached = true;
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(reached).toBeTrue();
+      expect(error.name).toBe('SoftExpectationError');
+      if (typeof AggregateError === 'function') {
+        expect(error).toBeAnInstanceOf(AggregateError);
+      }
+      expect(error.errors.length).toBe(4);
+      expect(error.errors[0].name).toBe('ExpectationError');
+      expect(error.message).toBe(
+        '4 expectations failed:\n\n' +
+          '1) Expected name "a" to be "b"\n\n' +
+          '2) Expected age 2 to be 3\n\n' +
+          '3) Expected age 2 to be 4\n\n' +
+          '4) Expected  null to be true '
+      );
+    });
+
+    it('should return the value of the function if every matcher passes', function () {
+      expect(
+        expect.soft(function () {
+          expect(1).toBe(1);
+          return 5;
+        })
+      ).toBe(5);
+      expect(function () {
+        expect.soft(function () {
+          throw new TypeError('broken');
+        });
+      }).toThrow(TypeError);
+      expect(function () {
+        expect(1).toBe(2);
+      }).toThrow();
+    });
+
+    it('should await a returned promise', function () {
+      return expect
+        .soft(function () {
+          expect(1).toBe(2);
+          return expect.promised(Promise.resolve(1)).toBe(3);
+        })
+        .then(
+          function () {
+            throw new Error('Expected the expectations to fail.');
+          },
+          function (e) {
+            expect(e.name).toBe('SoftExpectationError');
+            expect(e.errors.length).toBe(2);
+          }
+        );
+    });
+
+    it('should keep collecting in an async function until it settles', function () {
+      return expect
+        .soft(function () {
+          return Promise.resolve().then(function () {
+            expect(1).toBe(2);
+            expect('a').toBe('b');
+            return 'done';
+          });
+        })
+        .then(
+          function () {
+            throw new Error('Expected the expectations to fail.');
+          },
+          function (e) {
+            expect(e.name).toBe('SoftExpectationError');
+            expect(e.errors.length).toBe(2);
+            expect(function () {
+              expect(1).toBe(2);
+            }).toThrow();
+          }
+        );
+    });
+
+    it('should collect promised expectations that are not returned', function () {
+      let promised = null;
+      const result = expect.soft(function () {
+        promised = expect.promised(Promise.resolve(1), 'count').toBe(2);
+        expect.promised(Promise.resolve(1)).toResolve();
+        // eslint-disable-next-line prefer-promise-reject-errors
+        expect.promised(Promise.reject(3)).toResolve();
+      });
+      expect(result).toBeAnInstanceOf(Promise);
+      return result.then(
+        function () {
+          throw new Error('Expected the expectations to fail.');
+        },
+        function (e) {
+          expect(
+            e.errors.map(function (error) {
+              return error.message;
+            })
+          ).toBeLike([
+            'ExpectationError: Expected count 1 to be 2',
+            'Expected promise to resolve, but it rejected with 3',
+          ]);
+          return promised.then(function (value) {
+            expect(value).toBe(1);
+          });
+        }
+      );
+    });
+
+    it('should not collect the expectations within matchers', function () {
+      expect.addMatcher('toFailToBeTwo', function (actual) {
+        try {
+          expect(actual).toBe(2);
+          return false;
+        } catch (e) {
+          return true;
+        }
+      });
+      const result = expect.soft(function () {
+        expect(function () {
+          expect(1).toBe(2);
+        }).toThrow();
+        expect(1).toFailToBeTwo();
+        return 'done';
+      });
+      expect(result).toBe('done');
+    });
+
+    it('should collect the failures of matchers that return a promise', function () {
+      expect.addMatcher('toBeEven', function (actual) {
+        return Promise.resolve(actual % 2 === 0);
+      });
+      let passing = null;
+      const result = expect.soft(function () {
+        expect(1).toBe(2);
+        passing = expect(2).toBeEven();
+        expect(3).toBeEven();
+        expect.soft(function () {
+          expect(5, 'nested').toBeEven();
+        });
+      });
+      expect(result).toBeAnInstanceOf(Promise);
+      return Promise.all([passing, result]).then(
+        function () {
+          throw new Error('Expected the expectations to fail.');
+        },
+        function (e) {
+          expect(e.name).toBe('SoftExpectationError');
+          expect(
+            e.errors.map(function (error) {
+              return error.message;
+            })
+          ).toBeLike([
+            'ExpectationError: Expected  1 to be 2',
+            'ExpectationError: Expected  3 to be even ',
+            'ExpectationError: Expected nested 5 to be even ',
+          ]);
+          return passing.then(function (value) {
+            expect(value).toBe(2);
+          });
+        }
+      );
+    });
   });
 
   describe('Chaining.', function () {
@@ -794,4 +2627,94 @@ describe('Expectacle', function () {
       expect(error.message).toBe('ExpectationError: Expected  "a" to be "b"');
     });
   });
+
+  describe('Custom matchers', function () {
+    it('should pass every argument to the matcher', function () {
+      expect.addMatcher('toBeWithinRange', function (actual, min, max) {
+        return actual >= min && actual <= max;
+      });
+      expect(3).toBeWithinRange(1, 5);
+      let error = null;
+      try {
+        expect(7).toBeWithinRange(1, 5);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.expected).toBe(1);
+      expect(error.expectedArguments).toBeLike([1, 5]);
+      expect(error.message).toBe(
+        'ExpectationError: Expected  7 to be within range 1, 5'
+      );
+      return expect.promised(Promise.resolve(2)).toBeWithinRange(1, 5);
+    });
+
+    it('should use NULL_VALUE when no argument is passed', function () {
+      let received = null;
+      expect.addMatcher('toBeAnything', function () {
+        received = arguments.length;
+        return false;
+      });
+      let error = null;
+      try {
+        expect(1).toBeAnything();
+      } catch (e) {
+        error = e;
+      }
+      expect(received).toBe(1);
+      expect(error.expected).toBe(expect.NULL_VALUE);
+      expect(error.expectedArguments).toBeLike([]);
+      expect(error.message).toBe(
+        'ExpectationError: Expected  1 to be anything '
+      );
+    });
+
+    it('should await matchers that return a promise', function () {
+      expect.addMatcher('toBeStoredAs', function (actual, value) {
+        return Promise.resolve(actual === value);
+      });
+      const result = expect('a').toBeStoredAs('a');
+      expect(result.then).toBeAFunction();
+      return result
+        .then(function (actual) {
+          expect(actual).toBe('a');
+          return expect('a').toBeStoredAs('b');
+        })
+        .then(
+          function () {
+            throw new Error('Expected the async matcher to fail.');
+          },
+          function (e) {
+            expect(e.name).toBe('ExpectationError');
+            expect(e.message).toBe(
+              'ExpectationError: Expected  "a" to be stored as "b"'
+            );
+            return expect('a').not.toBeStoredAs('b').and.toBeAString();
+          }
+        );
+    });
+
+    it('should await async matchers under expect.promised', function () {
+      expect.addMatcher('toBeEventuallyEven', function (actual) {
+        return Promise.resolve(actual % 2 === 0);
+      });
+      return expect
+        .promised(Promise.resolve(2))
+        .toBeEventuallyEven()
+        .then(function (actual) {
+          expect(actual).toBe(2);
+          return expect.promised(Promise.resolve(3)).toBeEventuallyEven();
+        })
+        .then(
+          function () {
+            throw new Error('Expected the async matcher to fail.');
+          },
+          function (e) {
+            expect(e.message).toBe(
+              'ExpectationError: Expected  3 to be eventually even '
+            );
+            return expect.promised(Promise.resolve(3)).not.toBeEventuallyEven();
+          }
+        );
+    });
+  });
 });